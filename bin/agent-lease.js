@@ -2,16 +2,24 @@
 
 const fs = require('fs');
 const path = require('path');
-const { loadConfig, loadConfigChain, loadTemplate, loadTopicTemplate, interpolateTemplate, createDefaultConfig, findProjectRoot, getRunnersForTopic, isGitHook, DEFAULT_COMMIT_TEMPLATE, DEFAULT_PUSH_TEMPLATE } = require('../lib/config');
+const { loadConfig, loadConfigChain, loadTemplate, loadTopicTemplate, interpolateTemplate, createDefaultConfig, findProjectRoot, getRunnersForTopic, getLeaseOptions, getTopicMode, getTopicVerify, getTopicFailFast, getTopicBudget, isGitHook, DEFAULT_COMMIT_TEMPLATE, DEFAULT_PUSH_TEMPLATE } = require('../lib/config');
 const {
   checkLock,
   createLock,
   releaseLock,
   releaseLockWithAgentProof,
   clearAllLocks,
-  archiveLock
+  archiveLock,
+  findLeasesByBinding,
+  getHeadCommit,
+  getHeadTree,
+  verifyAuditLog,
+  formatTrailers,
+  checkProofNonce,
+  writeFindingsSarif
 } = require('../lib/lock-manager');
-const { getGitContext, runRunners, formatResults } = require('../lib/runner');
+const { getGitContext, matchRunnerFiles, runRunners, runTopicRunners, spotCheckProof, formatResults } = require('../lib/runner');
+const { runCost, formatUsd, formatCost, recordSpend, spentOn, checkBudget } = require('../lib/cost');
 
 const HELP = `
 agent-lease - Forced validation gates for git hooks and custom topics
@@ -20,12 +28,16 @@ COMMANDS:
   init                      Install hooks to current project
   lease <topic> [args]      Gate check for any topic (v4.0 unified command)
   lease <topic> --audit-proof='<proof>'  Release lock with proof
+  lease <topic> --run       Run the topic's runners and release from exit codes
   commit                    Alias for: lease pre-commit
   push                      Alias for: lease pre-push
   release --audit-proof     Run all runners + release lock (v2 mode, legacy)
   release --audit-proof='<proof>'  Accept agent proof text (v3.2 mode, legacy)
   status                    Check current lock state
   clear                     Remove all locks for this project
+  trailers                  Print commit trailers from the released lease
+  archive [--topic <t>]     Archive the consumed lease to .agent-lease/audit/log.jsonl
+  audit verify              Check the audit hash chain, proof files and locks
   runners                   List configured runners
   help                      Show this message
 
@@ -37,11 +49,27 @@ OPTIONS:
   --topic <name>            Which topic to check (for status/clear commands)
   --report <json>           Attach manual report data to proof archive
   --report-stdin            Read report data from stdin
+  --force                   Release a lock created by another agent
+  --run                     Run the topic's runners instead of trusting proof text
+  --all                     Run every runner and report all failures (no fail-fast)
+  --quiet                   One progress line per runner instead of streamed output
 
 ENV VARS:
   AGENT_LEASE_LOCK_DIR      Override lock directory
   AGENT_LEASE_PROJECT       Override project name
   AGENT_LEASE_RUNNERS       Override runners (name:cmd,name:cmd)
+  AGENT_LEASE_AGENT_ID      Identify this agent as lock owner (shared repos)
+
+SIGNED LEASES:
+  If ~/.config/agent-lease/key exists, releases are HMAC-signed with it and
+  unsigned or tampered leases are rejected. "requireSignature": true in the
+  config refuses to release or honour leases when the key isn't readable.
+
+RELEASE MODES ("mode" per topic, or top-level for all topics):
+  attest    Agent submits --audit-proof text, agent-lease checks it (default)
+  execute   agent-lease runs the topic's runners and stamps from exit codes
+  hybrid    Agent submits --audit-proof and agent-lease re-runs claimed runners
+            ("verify": "deterministic" (default) | "all" | <sample size>)
 
 CONFIG RESOLUTION (priority):
   1. --config CLI flag
@@ -52,19 +80,44 @@ CONFIG RESOLUTION (priority):
 RUNNER CONFIG:
   {
     "topics": {
-      "pre-commit": ["build", "lint"],
+      "pre-commit": { "runners": ["build", "lint"], "mode": "execute" },
       "pre-push": ["review"],
       "custom-check": ["security-scan"]
     },
     "runners": [
       { "name": "build", "command": "npm run build" },
       { "name": "lint", "command": "npm run lint" },
-      { "name": "review", "command": "claude -p 'Review: {{diff}}'" },
+      { "name": "review", "command": "claude -p 'Review this diff' < {{diff_file}}" },
       { "name": "security-scan", "command": "npm audit" }
     ],
     "lockDir": "auto"
   }
 
+LLM RUNNERS ("type": "llm", run by agent-lease itself):
+  { "name": "review", "type": "llm", "provider": "anthropic", "model": "<model>",
+    "prompt": "Review this diff." }
+  provider: anthropic (default) | openai | ollama | openai-compatible (needs "baseUrl")
+  "promptFile" replaces "prompt". The diff (unless the prompt has {{diff}}),
+  "steeringPrompt" and the VERDICT format block are appended. Keys come from
+  ANTHROPIC_API_KEY / OPENAI_API_KEY or the variable named by "apiKeyEnv".
+  Diffs over "chunkTokens" (default 50000) are reviewed in chunks and merged.
+  "format": "json" asks for a verdict matching schema/verdict.schema.json and
+  "reprompt": true re-asks once when a reply is unusable. Replies without a
+  valid verdict are ERROR, never PASS.
+  "failOn": { "critical": 1, "high": 1 } fails any LLM runner whose finding
+  counts reach a threshold, even on a PASS verdict.
+  "reviewers": [{ "model": ... }, { "provider": ..., "prompt": ... }] asks
+  several models at once; "consensus": majority (default) | all | any-fail
+  decides how many FAIL votes fail the runner. "quorum" is how many reviewers
+  must return a verdict (default: all), else the runner is ERROR. Findings
+  are deduplicated.
+  Tokens and cost (USD) are recorded per runner, in the proof report and the
+  agent-lease-cost trailer; set "price": { "input", "output" } per million
+  tokens for unknown models and "llm": true commands. "budget": { "perRun",
+  "perDay" } (top-level or per topic) fails the gate when spend goes over it.
+  Findings naming path:line are checked against the diff (outside it: likely
+  hallucinated) and written as SARIF to .agent-lease/proofs/<topic>-<commit>.sarif.
+
 LOCK DIRS (priority):
   1. AGENT_LEASE_LOCK_DIR env var
   2. --lock-dir CLI flag
@@ -75,13 +128,22 @@ LOCK DIRS (priority):
 TEMPLATE VARS:
   {{diff}}        git diff (staged for commit, branch for push)
   {{files}}       staged file list
+  {{matchedFiles}} staged files matching the runner's files/ignore globs
   {{project}}     project name
   {{branch}}      current branch
   {{hash}}        current commit hash
   {{topic}}       current topic name
   {{args}}        additional arguments passed to lease
+  {{nonce}}       challenge nonce proof output must echo (also $AGENT_LEASE_NONCE)
   {{env:VAR}}     environment variable value
 
+  Each variable is also exported as $AGENT_LEASE_<NAME> and written to a temp
+  file at {{<name>_file}} / $AGENT_LEASE_<NAME>_FILE. Values over 100KB are
+  only in the file: a runner reading $AGENT_LEASE_<NAME> for one fails. In a
+  command, {{<name>}} expands to a reference to $AGENT_LEASE_<NAME> that fits
+  the quotes around it ('Review: {{diff}}' works), never to the raw value.
+  Runners with an "args" array are spawned without a shell.
+
 EXAMPLES:
   # Traditional validation
   agent-lease commit                     # Block commit, show gate
@@ -120,9 +182,12 @@ function cmd_init() {
 
     const huskyHooks = {
       'pre-commit': '#!/bin/bash\nexec npx agent-lease lease pre-commit "$@"\n',
-      'pre-push': '#!/bin/bash\nexec npx agent-lease lease pre-push "$@"\n',
+      // git sends the refs being pushed on stdin: pass them on to bind the lease to
+      'pre-push': '#!/bin/bash\nAGENT_LEASE_PUSH_REFS="$(cat)" exec npx agent-lease lease pre-push "$@"\n',
       // prepare-commit-msg is NOT a gate - it extracts trailers from the lock file
-      'prepare-commit-msg': '#!/bin/bash\nexec npx agent-lease --hook prepare-commit-msg "$@"\n'
+      'prepare-commit-msg': '#!/bin/bash\nexec npx agent-lease --hook prepare-commit-msg "$@"\n',
+      // post-commit archives the consumed lease into .agent-lease/audit/
+      'post-commit': '#!/bin/bash\nexec npx agent-lease archive --topic pre-commit\n'
     };
 
     for (const [hook, content] of Object.entries(huskyHooks)) {
@@ -138,7 +203,7 @@ function cmd_init() {
       fs.mkdirSync(hooksDir, { recursive: true });
     }
 
-    for (const hook of ['pre-commit', 'pre-push', 'prepare-commit-msg']) {
+    for (const hook of ['pre-commit', 'pre-push', 'prepare-commit-msg', 'post-commit']) {
       const src = path.join(sourceHooksDir, hook);
       const dest = path.join(hooksDir, hook);
 
@@ -233,6 +298,10 @@ Topic: {{topic}}
 ## Runners
 {{runners}}
 
+## Challenge Nonce
+{{nonce}}
+Echo it in every runner's Output: line (runners also get it as $AGENT_LEASE_NONCE).
+
 When everything checks out:
   npx agent-lease lease {{topic}} --audit-proof='<describe what you validated>'
 `
@@ -253,9 +322,9 @@ When everything checks out:
     console.log('  + Created .agent-lease.json (legacy compat)');
   }
 
-  // Add .agent-lease/locks, audit, and proofs to .gitignore
+  // Add .agent-lease/locks, audit, proofs, cache and the cost ledger to .gitignore
   const gitignorePath = path.join(root, '.gitignore');
-  const ignoreEntries = ['.agent-lease/locks/', '.agent-lease/audit/', '.agent-lease/proofs/'];
+  const ignoreEntries = ['.agent-lease/locks/', '.agent-lease/audit/', '.agent-lease/proofs/', '.agent-lease/cache/', '.agent-lease/costs.jsonl'];
   if (fs.existsSync(gitignorePath)) {
     let content = fs.readFileSync(gitignorePath, 'utf8');
     for (const entry of ignoreEntries) {
@@ -280,12 +349,20 @@ When everything checks out:
   console.log('');
 }
 
+// Proof statuses that block a release: ERROR is an LLM reply that couldn't be parsed
+const FAILING_STATUSES = ['FAIL', 'TIMEOUT', 'ERROR'];
+
 /**
  * Parse agent-submitted proof text into structured runner results (v3.2)
+ * With the lock's challenge nonce, runners whose output is missing or doesn't
+ * echo that nonce are listed in `rejected`. SKIPPED runners have no output to
+ * check; findMisreportedSkips() verifies those instead.
+ *
  * @param {string} text - The proof text from --audit-proof='...'
- * @returns {{ runners: Array<{name: string, status: string, output: string}>, summary: string }}
+ * @param {string|null} nonce - Challenge nonce of the pending lock
+ * @returns {{ runners: Array<{name: string, status: string, output: string}>, summary: string, rejected: Array<{name: string, reason: string}> }}
  */
-function parseAgentProof(text) {
+function parseAgentProof(text, nonce = null) {
   // Remove wrapping quotes if present
   const clean = text.replace(/^['"]|['"]$/g, '');
 
@@ -309,9 +386,74 @@ function parseAgentProof(text) {
   }
   if (currentRunner) sections.push(currentRunner);
 
-  return { runners: sections, summary };
+  const rejected = [];
+  if (nonce) {
+    for (const runner of sections) {
+      if (runner.status === 'SKIPPED') continue;
+      const check = checkProofNonce(runner.output, nonce);
+      if (!runner.output) {
+        rejected.push({ name: runner.name, reason: 'no output' });
+      } else if (check !== 'ok') {
+        rejected.push({ name: runner.name, reason: check === 'stale' ? 'stale nonce' : 'nonce missing' });
+      }
+    }
+  }
+
+  return { runners: sections, summary, rejected };
+}
+
+/**
+ * Proof runners reported as SKIPPED that actually apply: they have no file
+ * filter, or their `files`/`ignore` filter matches a changed file
+ *
+ * @param {{ runners: Array<{name: string, status: string}> }} parsed - From parseAgentProof
+ * @param {object[]} runners - Configured runners the proof covers
+ * @param {string} phase - 'commit' or 'push' (which changed files to match)
+ * @returns {Array<{name: string, matched: string[]|null}>}
+ */
+function findMisreportedSkips(parsed, runners, phase) {
+  const skipped = parsed.runners.filter(r => r.status === 'SKIPPED');
+  if (skipped.length === 0) return [];
+
+  const context = getGitContext();
+  return skipped
+    .map(claim => runners.find(r => r.name.toLowerCase() === claim.name.toLowerCase()))
+    .filter(Boolean)
+    .map(runner => ({ name: runner.name, matched: matchRunnerFiles(runner, context, phase) }))
+    .filter(r => !r.matched || r.matched.length > 0);
+}
+
+/**
+ * Refuse proof that claims SKIPPED for runners that apply to this change
+ * @param {Array<{name: string, matched: string[]|null}>} misreported - From findMisreportedSkips
+ */
+function reportMisreportedSkips(misreported) {
+  console.error('');
+  console.error('PROOF REJECTED - runners reported SKIPPED apply to this change:');
+  misreported.forEach(r => console.error(`   - ${r.name}: ${r.matched ? r.matched.join(', ') : 'no file filter'}`));
+  console.error('');
+  console.error('Run them and report their results.');
+  console.error('');
+}
+
+/**
+ * Refuse proof that doesn't echo the lock's challenge nonce
+ * @param {{ rejected: Array<{name: string, reason: string}> }} parsed - From parseAgentProof
+ * @param {string} nonce - Current challenge nonce
+ */
+function reportNonceRejected(parsed, nonce) {
+  console.error('');
+  console.error('PROOF REJECTED - runner output must echo the challenge nonce:');
+  parsed.rejected.forEach(r => console.error(`   - ${r.name}: ${r.reason}`));
+  console.error('');
+  console.error(`Current nonce: ${nonce}`);
+  console.error('Re-run the runners and include it in each Output: line.');
+  console.error('');
 }
 
+// Flags that never take a value, so a following positional arg isn't swallowed
+const BOOLEAN_FLAGS = ['force', 'run', 'all', 'quiet'];
+
 /**
  * Parse CLI flags from args array
  * @param {string[]} args - CLI arguments
@@ -331,7 +473,7 @@ function parseCliFlags(args) {
       } else {
         const key = arg.slice(2);
         // Check if next arg is the value (not another flag)
-        if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+        if (!BOOLEAN_FLAGS.includes(key) && i + 1 < args.length && !args[i + 1].startsWith('--')) {
           flags[key] = args[i + 1];
           i++;
         } else {
@@ -346,6 +488,142 @@ function parseCliFlags(args) {
   return { flags, positional };
 }
 
+/**
+ * Explain why a lock could not be stamped (another agent owns it, or won a race)
+ * @param {{ reason: string, owner: string|null }} result - From releaseLock/releaseLockWithAgentProof
+ */
+function reportReleaseRefused(result) {
+  console.error('');
+  console.error(`LOCK NOT RELEASED - ${result.reason}`);
+  if (result.owner) {
+    console.error('');
+    console.error('Another agent created this lock. Let it finish, or pass --force to stamp it anyway.');
+  }
+  console.error('');
+}
+
+/**
+ * Runner result cache, unless the config turns it off (`"cache": false`)
+ * @returns {string|null}
+ */
+function getCacheDir(config, projectRoot) {
+  return config.cache === false ? null : path.join(projectRoot, '.agent-lease', 'cache');
+}
+
+/**
+ * Name every failing runner in one gate message, so an agent fixes them all in one pass
+ * @param {object[]} results - Runner results
+ * @param {string|null} budgetExceeded - Why the run went over its topic's budget
+ */
+function reportRunnerFailures(results, budgetExceeded = null) {
+  const failures = results.filter(r => !r.passed && !r.blocked);
+  const blocked = results.filter(r => r.blocked);
+  if (failures.length === 1) {
+    console.error(`RUNNER FAILED - ${failures[0].name} (${failures[0].error}).`);
+  } else if (failures.length > 1) {
+    console.error(`${failures.length} RUNNERS FAILED:`);
+    failures.forEach(r => console.error(`   - ${r.name}: ${r.error}`));
+  }
+  if (blocked.length > 0) {
+    console.error(`Not run (a dependency failed): ${blocked.map(r => r.name).join(', ')}`);
+  }
+  if (budgetExceeded) {
+    console.error(`BUDGET EXCEEDED - ${budgetExceeded}.`);
+  }
+}
+
+/**
+ * Print and record what a run's LLM runners spent, whether or not it passed:
+ * the tokens were paid for either way
+ *
+ * @param {string} projectRoot
+ * @param {string} topic
+ * @param {object[]} results - Runner results
+ * @param {object|null} budget - From getTopicBudget()
+ * @returns {string|null} Why the run is over budget, or null
+ */
+function accountSpend(projectRoot, topic, results, budget) {
+  const cost = runCost(results);
+  if (!cost) return null;
+  console.log(`  Cost: ${formatCost(cost)}`);
+  const spentBefore = spentOn(projectRoot);
+  recordSpend(projectRoot, topic, cost);
+  return budget && typeof cost.costUsd === 'number' ? checkBudget(budget, cost.costUsd, spentBefore) : null;
+}
+
+/**
+ * Run a topic's configured runners and print their results
+ * @param {object} config - Loaded config
+ * @param {string} topic
+ * @param {string[]} positional - Positional args for {{args}}
+ * @param {string|null} nonce - Challenge nonce of the lock being released
+ * @param {string} projectRoot
+ * @param {object} options - { failFast, output } (see runTopicRunners)
+ * @returns {Promise<{ allPassed: boolean, results: object[], totalDuration: number, criticalPath: string[],
+ *   budgetExceeded: string|null }>} A run over the topic's budget (see getTopicBudget) doesn't pass
+ */
+async function runLeaseRunners(config, topic, positional, nonce, projectRoot, options) {
+  const topicRunners = getRunnersForTopic(config, topic);
+
+  let budget;
+  try {
+    budget = getTopicBudget(config, topic);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  // A spent daily budget stops LLM runners before they spend more
+  if (budget && budget.perDay !== null && topicRunners.some(r => r.llm)) {
+    const spent = spentOn(projectRoot);
+    if (spent >= budget.perDay) {
+      const budgetExceeded = `${formatUsd(spent)} spent today, the whole ${formatUsd(budget.perDay)} daily budget`;
+      return { allPassed: false, results: [], totalDuration: 0, criticalPath: [], budgetExceeded };
+    }
+  }
+
+  console.log('');
+  console.log(`Running ${topicRunners.length} runner(s) for ${topic}`);
+  console.log('');
+
+  let run;
+  try {
+    run = await runTopicRunners(topicRunners, config.projectName, topic, {
+      args: positional,
+      nonce,
+      concurrency: config.concurrency,
+      cacheDir: getCacheDir(config, projectRoot),
+      failFast: options.failFast,
+      output: options.output
+    });
+  } catch (e) {
+    // Unknown dependsOn target or a dependency cycle
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (run.results.length > 0) {
+    console.log(formatResults(run.results, run.criticalPath));
+    console.log('');
+  }
+  console.log(`  Total: ${(run.totalDuration / 1000).toFixed(1)}s`);
+
+  run.budgetExceeded = accountSpend(projectRoot, topic, run.results, budget);
+  if (run.budgetExceeded) run.allPassed = false;
+  console.log('');
+
+  // A release records the SARIF file; a failed run still leaves the blocking findings behind
+  if (!run.allPassed) {
+    const phase = topic === 'pre-commit' ? 'commit' : topic === 'pre-push' ? 'push' : topic;
+    const sarif = writeFindingsSarif(projectRoot, phase, run.results, { failed: true });
+    if (sarif) {
+      console.log(`  Findings: .agent-lease/proofs/${sarif}`);
+      console.log('');
+    }
+  }
+  return run;
+}
+
 /**
  * Unified lease handler for any topic (v4.0).
  * Topics can be git hooks (pre-commit, pre-push) or custom validation gates.
@@ -353,13 +631,14 @@ function parseCliFlags(args) {
  * Two modes:
  *   DENY mode:  `agent-lease lease <topic>` (no --audit-proof)
  *               → Load template, print gate with forbidden header, create lock, exit 1
- *   RELEASE mode: `agent-lease lease <topic> --audit-proof='<proof>'`
- *               → Validate proof, release lock, exit 0
+ *               (execute-mode topics run their runners here and pass if they all pass)
+ *   RELEASE mode: `agent-lease lease <topic> --audit-proof='<proof>'` or `--run`
+ *               → Validate proof and/or run the topic's runners, release lock, exit 0
  *
  * @param {string} topic - Topic name (e.g., 'pre-commit', 'pre-push', 'custom-check')
  * @param {string[]} args - Remaining CLI arguments
  */
-function cmd_lease(topic, args) {
+async function cmd_lease(topic, args) {
   const { flags, positional } = parseCliFlags(args);
 
   // Load config with chain resolution
@@ -377,70 +656,189 @@ function cmd_lease(topic, args) {
                 topic === 'pre-push' ? 'push' :
                 topic;
 
+  // Lease lifetime and signature policy; attest | execute | hybrid, and which claims a hybrid release re-runs
+  let leaseOptions;
+  let mode;
+  let verify;
+  try {
+    leaseOptions = getLeaseOptions(config, topic);
+    mode = getTopicMode(config, topic);
+    verify = getTopicVerify(config, topic);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
   // Extract audit proof if present
   let auditProof = null;
   if (flags['audit-proof']) {
     auditProof = flags['audit-proof'] === true ? null : flags['audit-proof'];
   }
 
+  // --all runs every runner and reports all failures, whatever the topic's failFast
+  const failFast = flags.all ? false : getTopicFailFast(config, topic);
+
+  // Runner output streams to stderr as it arrives; --quiet prints one line per runner start/finish
+  const output = flags.quiet ? 'quiet' : 'stream';
+
+  // --run without proof executes the runners whatever the topic's mode; with proof it re-runs every claim
+  if (flags.run) {
+    mode = auditProof ? 'hybrid' : 'execute';
+    verify = 'all';
+  }
+
   // ----- RELEASE MODE -----
-  if (auditProof) {
-    const lockState = checkLock(projectName, lockDir, phase);
+  if (auditProof || flags.run) {
+    const lockState = checkLock(projectName, lockDir, phase, leaseOptions);
 
-    if (!lockState.exists) {
+    if (!lockState.exists && !flags.run) {
       console.log(`No active ${topic} lock found. Proceeding freely.`);
       process.exit(0);
     }
 
-    if (lockState.auditPassed) {
+    if (lockState.valid) {
       // Already released - exit silently
       process.exit(0);
     }
 
-    const parsed = parseAgentProof(auditProof);
+    // No lock yet (--run ahead of the gate), or a stale, expired, unsigned or nonce-less lease:
+    // start over from a fresh pending lock (and nonce) before stamping
+    let { guid, nonce } = lockState.exists ? lockState.lock : {};
+    if (!lockState.exists) {
+      ({ guid, nonce } = createLock(projectName, lockDir, phase));
+    } else if (lockState.stale || lockState.expired || lockState.forged || !nonce) {
+      ({ guid, nonce } = createLock(projectName, lockDir, phase, { replace: true }));
+    }
 
-    // Get runners for this topic
-    const topicRunners = getRunnersForTopic(config, topic);
-    const proofRunnerNames = parsed.runners.map(r => r.name.toLowerCase());
-    const missingRunners = topicRunners.filter(r => !proofRunnerNames.includes(r.name.toLowerCase()));
+    const releaseOptions = {
+      projectRoot,
+      guid,
+      force: Boolean(flags.force),
+      requireSignature: leaseOptions.requireSignature
+    };
 
-    if (missingRunners.length > 0) {
-      console.error('');
-      console.error('INCOMPLETE PROOF - Missing runners:');
-      missingRunners.forEach(r => console.error(`   - ${r.name}`));
-      console.error('');
-      console.error('Include validation results for all configured runners.');
-      process.exit(1);
+    let parsed = null;
+    if (mode !== 'execute') {
+      if (!auditProof) {
+        console.error('');
+        console.error(`PROOF REQUIRED - ${topic} runs in ${mode} mode.`);
+        console.error('');
+        console.error(`Resubmit with --audit-proof='<proof>'${mode === 'hybrid' ? '' : ' or --run'}.`);
+        process.exit(1);
+      }
+
+      parsed = parseAgentProof(auditProof, nonce);
+
+      // Get runners for this topic
+      const topicRunners = getRunnersForTopic(config, topic);
+      const proofRunnerNames = parsed.runners.map(r => r.name.toLowerCase());
+      const missingRunners = topicRunners.filter(r => !proofRunnerNames.includes(r.name.toLowerCase()));
+
+      if (missingRunners.length > 0) {
+        console.error('');
+        console.error('INCOMPLETE PROOF - Missing runners:');
+        missingRunners.forEach(r => console.error(`   - ${r.name}`));
+        console.error('');
+        console.error('Include validation results for all configured runners.');
+        process.exit(1);
+      }
+
+      // SKIPPED is only accepted for runners whose file filter matches nothing
+      const misreported = findMisreportedSkips(parsed, topicRunners, topic === 'pre-push' ? 'push' : 'commit');
+      if (misreported.length > 0) {
+        reportMisreportedSkips(misreported);
+        process.exit(1);
+      }
+
+      // Proof written before this lock existed can't echo its nonce
+      if (parsed.rejected.length > 0) {
+        reportNonceRejected(parsed, nonce);
+        process.exit(1);
+      }
+
+      // Check for failures
+      const failedRunners = parsed.runners.filter(r => FAILING_STATUSES.includes(r.status));
+      if (failedRunners.length > 0) {
+        console.error('');
+        console.error('PROOF INDICATES FAILURES:');
+        failedRunners.forEach(r => console.error(`   - ${r.name}: ${r.output || r.status}`));
+        console.error('');
+        console.error('Fix the failures and resubmit proof.');
+        process.exit(1);
+      }
     }
 
-    // Check for failures
-    const failedRunners = parsed.runners.filter(r => r.status === 'FAIL');
-    if (failedRunners.length > 0) {
-      console.error('');
-      console.error('PROOF INDICATES FAILURES:');
-      failedRunners.forEach(r => console.error(`   - ${r.name}: ${r.output || 'FAIL'}`));
-      console.error('');
-      console.error('Fix the failures and resubmit proof.');
+    let release;
+    let verification = null;
+    if (mode === 'execute') {
+      // The runners' exit codes decide; any proof text is ignored
+      const { allPassed, results, budgetExceeded } = await runLeaseRunners(config, topic, positional, nonce, projectRoot, { failFast, output });
+      if (!allPassed) {
+        console.error('');
+        reportRunnerFailures(results, budgetExceeded);
+        console.error('');
+        console.error('Fix the failures and run again.');
+        process.exit(1);
+      }
+      release = releaseLock(projectName, lockDir, results, phase, releaseOptions);
+    } else {
+      if (mode === 'hybrid') {
+        // Re-run some of the claimed runners before trusting the rest; LLM re-runs count against the budget
+        const budget = getTopicBudget(config, topic);
+        verification = await spotCheckProof(parsed, getRunnersForTopic(config, topic), projectName, topic, positional, verify, nonce, output);
+        const budgetExceeded = accountSpend(projectRoot, topic, verification.checked, budget);
+        if (verification.mismatches.length > 0) {
+          console.error('');
+          console.error('PROOF REJECTED - claimed PASS, actually FAIL:');
+          console.error('');
+          verification.mismatches.forEach(m => {
+            console.error(`  - ${m.name}: claimed ${m.claimed}`);
+            console.error(`  + ${m.name}: actually ${m.actual} (${m.error})`);
+            m.output.split('\n').filter(l => l.trim()).slice(0, 10).forEach(l => console.error(`      ${l}`));
+          });
+          console.error('');
+          console.error('Fix the failures and resubmit proof.');
+          process.exit(1);
+        }
+        if (budgetExceeded) {
+          console.error('');
+          reportRunnerFailures([], budgetExceeded);
+          process.exit(1);
+        }
+      }
+
+      // Stamp the lock (compare-and-swap against the lock we validated)
+      release = releaseLockWithAgentProof(projectName, lockDir, auditProof, parsed, phase, {
+        ...releaseOptions,
+        verification
+      });
+    }
+
+    if (!release.released) {
+      reportReleaseRefused(release);
       process.exit(1);
     }
 
-    // Accept proof
-    console.log('');
-    console.log('Agent proof accepted');
-    console.log('');
-    parsed.runners.forEach(r => {
-      console.log(`  PASS ${r.name}: ${r.status}`);
-      if (r.output) console.log(`    ${r.output}`);
-    });
-    if (parsed.summary) {
+    if (parsed) {
+      // Accept proof
+      console.log('');
+      console.log('Agent proof accepted');
+      console.log('');
+      parsed.runners.forEach(r => {
+        console.log(`  PASS ${r.name}: ${r.status}`);
+        if (r.output) console.log(`    ${r.output}`);
+      });
+      if (parsed.summary) {
+        console.log('');
+        console.log(`  Summary: ${parsed.summary}`);
+      }
+      if (verification) {
+        console.log('');
+        const names = verification.checked.map(c => c.name).join(', ');
+        console.log(`  Spot-checked: ${names || '(none)'}`);
+      }
       console.log('');
-      console.log(`  Summary: ${parsed.summary}`);
     }
-    console.log('');
-
-    releaseLockWithAgentProof(projectName, lockDir, auditProof, parsed, phase, {
-      projectRoot
-    });
 
     console.log(`${topic} lock released.`);
     console.log('');
@@ -452,16 +850,73 @@ function cmd_lease(topic, args) {
   }
 
   // ----- DENY MODE -----
-  const lockState = checkLock(projectName, lockDir, phase);
+  const lockState = checkLock(projectName, lockDir, phase, leaseOptions);
 
-  // If lock exists with AUDIT_PROOF_PASSED, exit 0 silently
-  if (lockState.exists && lockState.auditPassed) {
+  // If lock exists with unexpired AUDIT_PROOF_PASSED for this exact content, exit 0 silently
+  if (lockState.exists && lockState.valid) {
+    // git has no post-push hook: the push gate consumes its lease as it lets the push through
+    if (phase === 'push') {
+      archiveLock(projectName, lockDir, projectRoot, phase, { commit: getHeadCommit() });
+    }
     process.exit(0);
   }
 
-  // Create lock if it doesn't exist yet
+  // Stamped without the signing key (or edited since): reject the lease and re-gate
+  if (lockState.forged) {
+    console.error('');
+    if (lockState.signature === 'unverifiable') {
+      console.error('UNVERIFIED LEASE - requireSignature is set but no signing key is readable.');
+    } else if (lockState.signature === 'missing') {
+      console.error('UNSIGNED LEASE - lock was marked validated without a signature.');
+    } else {
+      console.error('FORGED LEASE - lock signature does not match its contents.');
+    }
+  } else if (lockState.stale) {
+    // Validated against different content: reject the lease and re-gate
+    const what = lockState.binding.key === 'range' ? 'pushed commits' : 'staged changes';
+    console.error('');
+    console.error(`STALE LEASE - ${what} differ from what was validated.`);
+    console.error(`  Validated: ${lockState.binding.recorded || '(unbound)'}`);
+    console.error(`  Current:   ${lockState.binding.value || '(unknown)'}`);
+  } else if (lockState.expired) {
+    console.error('');
+    console.error(`EXPIRED LEASE - proof from ${lockState.lock.release.at} expired at ${lockState.expiresAt}.`);
+  }
+
+  // Create lock if it doesn't exist yet (or replace the stale/expired/unsigned/nonce-less one)
+  let { guid, nonce } = lockState.exists ? lockState.lock : {};
   if (!lockState.exists) {
-    createLock(projectName, lockDir, phase);
+    ({ guid, nonce } = createLock(projectName, lockDir, phase));
+  } else if (lockState.stale || lockState.expired || lockState.forged || !nonce) {
+    ({ guid, nonce } = createLock(projectName, lockDir, phase, { replace: true }));
+  }
+
+  // Execute mode: no agent in the loop, the gate runs the runners itself
+  if (mode === 'execute') {
+    const { allPassed, results, budgetExceeded } = await runLeaseRunners(config, topic, positional, nonce, projectRoot, { failFast, output });
+    if (allPassed) {
+      const release = releaseLock(projectName, lockDir, results, phase, {
+        projectRoot,
+        guid,
+        requireSignature: leaseOptions.requireSignature
+      });
+      if (!release.released) {
+        reportReleaseRefused(release);
+        process.exit(1);
+      }
+      if (phase === 'push') {
+        archiveLock(projectName, lockDir, projectRoot, phase, { commit: getHeadCommit() });
+      }
+      process.exit(0);
+    }
+
+    console.error('');
+    console.error('--no-verify is FORBIDDEN without explicit human approval.');
+    console.error('');
+    reportRunnerFailures(results, budgetExceeded);
+    console.error('Fix the failures and try again.');
+    console.error('');
+    process.exit(1);
   }
 
   // Load template and interpolate with git context
@@ -469,7 +924,8 @@ function cmd_lease(topic, args) {
   const template = loadTopicTemplate(topic, templateDir, flags.template || null);
   const rendered = interpolateTemplate(template, gitContext, config, {
     topic,
-    args: positional
+    args: positional,
+    nonce
   });
 
   // Print the DENY gate with forbidden header
@@ -478,6 +934,13 @@ function cmd_lease(topic, args) {
   console.error('');
   console.error(rendered);
 
+  // Custom templates may not show {{nonce}}: proof can't be accepted without it
+  if (!rendered.includes(nonce)) {
+    console.error(`Challenge nonce: ${nonce}`);
+    console.error('Echo it in every runner\'s Output: line (runners also get it as $AGENT_LEASE_NONCE).');
+    console.error('');
+  }
+
   process.exit(1);
 }
 
@@ -543,11 +1006,11 @@ function cmd_phase(phase, args) {
     }
 
     // Check for failures
-    const failedRunners = parsed.runners.filter(r => r.status === 'FAIL');
+    const failedRunners = parsed.runners.filter(r => FAILING_STATUSES.includes(r.status));
     if (failedRunners.length > 0) {
       console.error('');
       console.error('❌ Agent proof indicates failures:');
-      failedRunners.forEach(r => console.error(`   - ${r.name}: ${r.output || 'FAIL'}`));
+      failedRunners.forEach(r => console.error(`   - ${r.name}: ${r.output || r.status}`));
       console.error('');
       console.error('Fix the failures and resubmit proof.');
       process.exit(1);
@@ -612,7 +1075,7 @@ function cmd_phase(phase, args) {
   process.exit(1);
 }
 
-function cmd_release(args) {
+async function cmd_release(args) {
   // Find --audit-proof argument (may be boolean or have a value)
   const proofArg = args.find(a => a.startsWith('--audit-proof'));
 
@@ -655,20 +1118,27 @@ function cmd_release(args) {
   const { config, projectRoot } = loadConfig();
   const { projectName, lockDir } = config;
 
-  const lockState = checkLock(projectName, lockDir, phase);
+  const leaseOptions = getLeaseOptions(config, phase === 'commit' ? 'pre-commit' : 'pre-push');
+  const lockState = checkLock(projectName, lockDir, phase, leaseOptions);
   if (!lockState.exists) {
     console.log(`No active ${phase} lock found. You can ${phase} freely.`);
     return;
   }
 
-  if (lockState.auditPassed) {
+  if (lockState.valid) {
     console.log(`Lock already has audit proof. ${phase === 'commit' ? 'Commit' : 'Push'} should proceed.`);
     return;
   }
 
+  let { guid, nonce } = lockState.lock;
+  if (lockState.stale || lockState.expired || lockState.forged || !nonce) {
+    ({ guid, nonce } = createLock(projectName, lockDir, phase, { replace: true }));
+  }
+  const force = args.includes('--force');
+
   // v3.2 mode: Agent provided proof text
   if (agentProof) {
-    const parsed = parseAgentProof(agentProof);
+    const parsed = parseAgentProof(agentProof, nonce);
 
     // Validate all configured runners are represented in the proof
     const runners = config._runners;
@@ -685,12 +1155,23 @@ function cmd_release(args) {
       process.exit(1);
     }
 
+    const misreported = findMisreportedSkips(parsed, phaseRunners, phase);
+    if (misreported.length > 0) {
+      reportMisreportedSkips(misreported);
+      process.exit(1);
+    }
+
+    if (parsed.rejected.length > 0) {
+      reportNonceRejected(parsed, nonce);
+      process.exit(1);
+    }
+
     // Check if any runners failed
-    const failedRunners = parsed.runners.filter(r => r.status === 'FAIL');
+    const failedRunners = parsed.runners.filter(r => FAILING_STATUSES.includes(r.status));
     if (failedRunners.length > 0) {
       console.error('');
       console.error('❌ Agent proof indicates failures:');
-      failedRunners.forEach(r => console.error(`   - ${r.name}: ${r.output || 'FAIL'}`));
+      failedRunners.forEach(r => console.error(`   - ${r.name}: ${r.output || r.status}`));
       console.error('');
       console.error('Fix the failures and resubmit proof.');
       process.exit(1);
@@ -709,9 +1190,16 @@ function cmd_release(args) {
     }
     console.log('');
 
-    releaseLockWithAgentProof(projectName, lockDir, agentProof, parsed, phase, {
-      projectRoot
+    const release = releaseLockWithAgentProof(projectName, lockDir, agentProof, parsed, phase, {
+      projectRoot,
+      guid,
+      force,
+      requireSignature: leaseOptions.requireSignature
     });
+    if (!release.released) {
+      reportReleaseRefused(release);
+      process.exit(1);
+    }
 
     console.log(`✅ Agent proof validated. ${phase} lock released.`);
     console.log('');
@@ -734,20 +1222,51 @@ function cmd_release(args) {
   console.log(`🔍 Running ${phaseRunners.length} runner(s) for phase: ${phase}`);
   console.log('');
 
-  const { allPassed, results, totalDuration } = runRunners(runners, projectName, phase);
+  const topic = phase === 'push' ? 'pre-push' : 'pre-commit';
+  let run;
+  let budget;
+  try {
+    budget = getTopicBudget(config, topic);
+    run = await runRunners(runners, projectName, phase, {
+      concurrency: config.concurrency,
+      cacheDir: getCacheDir(config, projectRoot),
+      failFast: !args.includes('--all') && getTopicFailFast(config, phase === 'push' ? 'pre-push' : 'pre-commit'),
+      output: args.includes('--quiet') ? 'quiet' : 'stream'
+    });
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+  const { allPassed, results, totalDuration, criticalPath } = run;
 
-  console.log(formatResults(results));
+  console.log(formatResults(results, criticalPath));
   console.log('');
   console.log(`  Total: ${(totalDuration / 1000).toFixed(1)}s`);
+  const budgetExceeded = accountSpend(projectRoot, topic, results, budget);
   console.log('');
 
+  if (budgetExceeded) {
+    console.log(`❌ Budget exceeded: ${budgetExceeded}.`);
+    console.log(`   Lock remains: ${lockState.lockPath}`);
+    process.exit(1);
+  }
   if (!allPassed) {
     console.log('❌ Validation failed. Fix errors and try again.');
     console.log(`   Lock remains: ${lockState.lockPath}`);
     process.exit(1);
   }
 
-  releaseLock(projectName, lockDir, results, phase, { projectRoot, manualReport });
+  const release = releaseLock(projectName, lockDir, results, phase, {
+    projectRoot,
+    manualReport,
+    guid,
+    force,
+    requireSignature: leaseOptions.requireSignature
+  });
+  if (!release.released) {
+    reportReleaseRefused(release);
+    process.exit(1);
+  }
   console.log(`✅ All runners passed. ${phase} lock released with audit proof.`);
   console.log('');
   if (phase === 'commit') {
@@ -783,19 +1302,28 @@ function cmd_status(args) {
   // Custom topic handling
   if (topic && !['commit', 'push', 'pre-commit', 'pre-push'].includes(topic)) {
     const phase = mapTopicToPhase(topic);
-    const lockState = checkLock(projectName, lockDir, phase);
+    const lockState = checkLock(projectName, lockDir, phase, getLeaseOptions(config, topic));
 
     console.log(`[${topic.toUpperCase()}]`);
 
     if (!lockState.exists) {
       console.log(`  No active lock. Gated on next attempt.`);
+    } else if (lockState.forged) {
+      console.log(`  Lease signature ${lockState.signature}. Gated on next attempt.`);
+    } else if (lockState.stale) {
+      console.log(`  Lease is stale (validated content changed). Gated on next attempt.`);
+    } else if (lockState.expired) {
+      console.log(`  Lease expired at ${lockState.expiresAt}. Gated on next attempt.`);
     } else if (lockState.auditPassed) {
       console.log(`  Lock exists with audit proof. Next run will pass.`);
+      if (lockState.expiresAt) {
+        console.log(`     Expires: ${lockState.expiresAt}`);
+      }
     } else {
       console.log(`  Lock exists. Validation required.`);
       console.log(`     Lock: ${lockState.lockPath}`);
-      if (lockState.data && lockState.data.CREATED) {
-        console.log(`     Created: ${lockState.data.CREATED}`);
+      if (lockState.lock.created) {
+        console.log(`     Created: ${lockState.lock.created}`);
       }
       console.log('');
       console.log(`     Release: npx agent-lease lease ${topic} --audit-proof='...'`);
@@ -808,23 +1336,32 @@ function cmd_status(args) {
   const phasesToCheck = topic ? [mapTopicToPhase(topic)] : ['commit', 'push'];
 
   for (const p of phasesToCheck) {
-    const lockState = checkLock(projectName, lockDir, p);
     const topicName = p === 'commit' ? 'pre-commit' : p === 'push' ? 'pre-push' : p;
+    const lockState = checkLock(projectName, lockDir, p, getLeaseOptions(config, topicName));
 
     console.log(`[${topicName.toUpperCase()}]`);
 
     if (!lockState.exists) {
       console.log(`  No active lock. ${p === 'commit' ? 'Commits' : 'Pushes'} gated on next attempt.`);
+    } else if (lockState.forged) {
+      console.log(`  Lease signature ${lockState.signature}. ${p === 'commit' ? 'Commits' : 'Pushes'} gated on next attempt.`);
+    } else if (lockState.stale) {
+      console.log(`  Lease is stale (${p === 'push' ? 'pushed commits' : 'staged changes'} changed since validation). ${p === 'commit' ? 'Commits' : 'Pushes'} gated on next attempt.`);
+    } else if (lockState.expired) {
+      console.log(`  Lease expired at ${lockState.expiresAt}. ${p === 'commit' ? 'Commits' : 'Pushes'} gated on next attempt.`);
     } else if (lockState.auditPassed) {
       console.log(`  Lock exists with audit proof. Next ${p} will pass.`);
+      if (lockState.expiresAt) {
+        console.log(`     Expires: ${lockState.expiresAt}`);
+      }
     } else {
       console.log(`  Lock exists. Validation required before ${p}.`);
       console.log(`     Lock: ${lockState.lockPath}`);
-      if (lockState.data && lockState.data.CREATED) {
-        console.log(`     Created: ${lockState.data.CREATED}`);
+      if (lockState.lock.created) {
+        console.log(`     Created: ${lockState.lock.created}`);
       }
-      if (lockState.data && lockState.data.REMOTE) {
-        console.log(`     Remote: ${lockState.data.REMOTE}`);
+      if (lockState.lock.remote) {
+        console.log(`     Remote: ${lockState.lock.remote}`);
       }
       console.log('');
       console.log(`     Release: npx agent-lease lease ${topicName} --audit-proof='...'`);
@@ -879,6 +1416,98 @@ function cmd_clear(args) {
   }
 }
 
+/**
+ * Print the git trailers recorded in a released lease, one `name: value` per line.
+ * Used by the prepare-commit-msg hook so it never parses lock files itself.
+ * Prints nothing unless the lease is valid for what is being committed.
+ */
+function cmd_trailers(args) {
+  const { flags } = parseCliFlags(args);
+  const { config } = loadConfigChain(null, flags.config || null);
+  const { projectName } = config;
+  const lockDir = flags['lock-dir'] || config.lockDir;
+
+  const topic = typeof flags.topic === 'string' ? flags.topic : 'pre-commit';
+  const phase = topic === 'pre-commit' ? 'commit' :
+                topic === 'pre-push' ? 'push' :
+                topic;
+
+  const lockState = checkLock(projectName, lockDir, phase, getLeaseOptions(config, topic));
+  if (!lockState.exists || !lockState.valid) return;
+
+  const lines = formatTrailers(lockState.lock, config.trailers);
+  if (lines.length > 0) {
+    console.log(lines.join('\n'));
+  }
+}
+
+/**
+ * Archive the leases consumed by a commit into .agent-lease/audit/ and
+ * append them to the audit log. Called by the post-commit hook.
+ * After a commit HEAD has moved, so the consumed lease is found by its
+ * staged tree (the new commit's tree) rather than by lock path - this also
+ * covers amends and the root commit.
+ */
+function cmd_archive(args) {
+  const { flags } = parseCliFlags(args);
+  const { config, projectRoot } = loadConfigChain(null, flags.config || null);
+  const { projectName } = config;
+  const lockDir = flags['lock-dir'] || config.lockDir;
+
+  const topic = typeof flags.topic === 'string' ? flags.topic : 'pre-commit';
+  const phase = topic === 'pre-commit' ? 'commit' :
+                topic === 'pre-push' ? 'push' :
+                topic;
+
+  const commit = getHeadCommit();
+  let lockPaths = [];
+  if (phase === 'commit') {
+    lockPaths = findLeasesByBinding(projectName, lockDir, phase, 'tree', getHeadTree());
+  } else {
+    const lockState = checkLock(projectName, lockDir, phase, getLeaseOptions(config, topic));
+    if (lockState.exists && lockState.valid) lockPaths = [lockState.lockPath];
+  }
+
+  let archived = 0;
+  for (const lockPath of lockPaths) {
+    if (archiveLock(projectName, lockDir, projectRoot, phase, { lockPath, commit }).archived) archived++;
+  }
+
+  if (archived > 0) {
+    console.log(`agent-lease: archived ${archived} lease(s) to .agent-lease/audit/log.jsonl`);
+  }
+}
+
+/**
+ * Audit trail commands.
+ *   audit verify - walk the hash chain in .agent-lease/audit/log.jsonl and
+ *                  report the first broken link (exit 1) or confirm it's intact
+ */
+function cmd_audit(args) {
+  const { flags, positional } = parseCliFlags(args);
+  const subcommand = positional[0];
+
+  if (subcommand !== 'verify') {
+    console.error('Usage: agent-lease audit verify');
+    process.exit(1);
+  }
+
+  const { config, projectRoot } = loadConfigChain(null, flags.config || null);
+  const { projectName } = config;
+  const lockDir = flags['lock-dir'] || config.lockDir;
+
+  const result = verifyAuditLog(projectRoot, { projectName, lockDir });
+  if (result.ok) {
+    console.log(`Audit chain intact: ${result.entries} entries verified.`);
+    return;
+  }
+
+  const where = result.broken.line ? `line ${result.broken.line} of .agent-lease/audit/log.jsonl` : result.broken.file;
+  console.error(`AUDIT CHAIN BROKEN at ${where}`);
+  console.error(`  ${result.broken.reason}`);
+  process.exit(1);
+}
+
 /**
  * Internal hook executor for husky integration.
  * Called via: npx agent-lease --hook <hook-name> [args...]
@@ -906,56 +1535,77 @@ function cmd_hook(hookName, hookArgs) {
 // --- Main ---
 const [,, command, ...args] = process.argv;
 
-// Handle internal --hook command for husky
-if (command === '--hook') {
-  const hookName = args[0];
-  const hookArgs = args.slice(1);
-  cmd_hook(hookName, hookArgs);
-} else {
-  switch (command) {
-    case 'init':
-      cmd_init();
-      break;
-    case 'lease':
-      // v4.0 unified command: agent-lease lease <topic> [args...]
-      const topic = args[0];
-      if (!topic) {
-        console.error('Error: lease requires a topic. Usage: agent-lease lease <topic> [args...]');
+// An error a command doesn't handle (a config ttl, timeout or quorum it can't read,
+// say) must still block (exit 1), reported in one line rather than a stack trace.
+// lease and release are async, so they report theirs when the promise rejects.
+const exitOnError = e => {
+  console.error(`Error: ${e.message}`);
+  process.exit(1);
+};
+
+try {
+  // Handle internal --hook command for husky
+  if (command === '--hook') {
+    const hookName = args[0];
+    const hookArgs = args.slice(1);
+    cmd_hook(hookName, hookArgs);
+  } else {
+    switch (command) {
+      case 'init':
+        cmd_init();
+        break;
+      case 'lease':
+        // v4.0 unified command: agent-lease lease <topic> [args...]
+        const topic = args[0];
+        if (!topic) {
+          console.error('Error: lease requires a topic. Usage: agent-lease lease <topic> [args...]');
+          process.exit(1);
+        }
+        cmd_lease(topic, args.slice(1)).catch(exitOnError);
+        break;
+      case 'commit':
+        // Backward compat: alias for lease pre-commit
+        cmd_lease('pre-commit', args).catch(exitOnError);
+        break;
+      case 'push':
+        // Backward compat: alias for lease pre-push
+        cmd_lease('pre-push', args).catch(exitOnError);
+        break;
+      case 'release':
+        cmd_release(args).catch(exitOnError);
+        break;
+      case 'status':
+        cmd_status(args);
+        break;
+      case 'runners':
+        cmd_runners();
+        break;
+      case 'clear':
+        cmd_clear(args);
+        break;
+      case 'trailers':
+        cmd_trailers(args);
+        break;
+      case 'archive':
+        cmd_archive(args);
+        break;
+      case 'audit':
+        cmd_audit(args);
+        break;
+      case 'help':
+      case '--help':
+      case '-h':
+      case undefined:
+        console.log(HELP);
+        break;
+      default:
+        console.error(`Unknown command: ${command}`);
+        console.log(HELP);
         process.exit(1);
-      }
-      cmd_lease(topic, args.slice(1));
-      break;
-    case 'commit':
-      // Backward compat: alias for lease pre-commit
-      cmd_lease('pre-commit', args);
-      break;
-    case 'push':
-      // Backward compat: alias for lease pre-push
-      cmd_lease('pre-push', args);
-      break;
-    case 'release':
-      cmd_release(args);
-      break;
-    case 'status':
-      cmd_status(args);
-      break;
-    case 'runners':
-      cmd_runners();
-      break;
-    case 'clear':
-      cmd_clear(args);
-      break;
-    case 'help':
-    case '--help':
-    case '-h':
-    case undefined:
-      console.log(HELP);
-      break;
-    default:
-      console.error(`Unknown command: ${command}`);
-      console.log(HELP);
-      process.exit(1);
+    }
   }
+} catch (e) {
+  exitOnError(e);
 }
 
 // Export for programmatic use (v3.2)
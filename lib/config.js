@@ -87,6 +87,8 @@ const DEFAULT_CONFIG = {
   lockDir: 'auto', // "auto" | "local" | "xdg" | "/custom/path"
   projectName: null,
   bypassWarning: true,
+  concurrency: null, // Max parallel runners at once (null = CPU count)
+  cache: true, // Reuse passing runner results for identical inputs (.agent-lease/cache/)
   // Legacy compat: "validation" key maps to runners
   validation: null
 };
@@ -126,6 +128,103 @@ function getProjectName(projectRoot) {
   return path.basename(projectRoot);
 }
 
+/**
+ * Whether re-running a runner should reproduce its result: LLM runners are not,
+ * unless the runner sets `"deterministic": true`
+ */
+function isDeterministic(runner) {
+  if (runner.deterministic !== undefined) return runner.deterministic !== false;
+  return !(runner.llm || runner.type === 'llm');
+}
+
+/**
+ * Fields of a `"type": "llm"` runner, which calls a provider API instead of
+ * running a command. Its display command is `llm:<provider>/<model>`.
+ */
+function normalizeLLMFields(r) {
+  if (r.type !== 'llm') return {};
+  const provider = r.provider || 'anthropic';
+  return {
+    command: r.command || `llm:${provider}/${r.model || ''}`,
+    llm: true,
+    type: 'llm',
+    provider,
+    model: r.model || null,
+    prompt: r.prompt || null,
+    promptFile: r.promptFile || null,
+    baseUrl: r.baseUrl || null,
+    apiKeyEnv: r.apiKeyEnv || null,
+    maxTokens: parseInt(r.maxTokens, 10) || null,
+    format: r.format === 'json' ? 'json' : 'text',
+    reprompt: Boolean(r.reprompt)
+  };
+}
+
+/**
+ * Reviewers of a multi-reviewer LLM runner (`reviewers` + `consensus`). Each
+ * inherits the runner's settings, overridden by its own (model, provider,
+ * prompt, command...), and is named <runner>/<reviewer name or model>.
+ * `quorum` is how many must return a verdict (default: all of them).
+ *
+ * @throws {Error} When `quorum` isn't a count from 1 to the number of reviewers
+ */
+function normalizeReviewers(runner, r) {
+  if (!Array.isArray(r.reviewers) || r.reviewers.length === 0) return runner;
+
+  const reviewers = r.reviewers.map((reviewer, i) => ({
+    ...normalizeRunner({ ...r, llm: true, ...reviewer, reviewers: null }, runner.on),
+    name: `${runner.name}/${reviewer.name || reviewer.model || i + 1}`
+  }));
+  const quorum = r.quorum === undefined ? reviewers.length : Number(r.quorum);
+  if (!Number.isInteger(quorum) || quorum < 1 || quorum > reviewers.length) {
+    throw new Error(`quorum for runner ${runner.name}: expected 1 to ${reviewers.length} reviewers, got ${JSON.stringify(r.quorum)}`);
+  }
+  return {
+    ...runner,
+    command: runner.command || `reviewers:${reviewers.map(v => v.name.slice(runner.name.length + 1)).join(',')}`,
+    llm: true,
+    deterministic: r.deterministic === true,
+    consensus: r.consensus || 'majority',
+    quorum,
+    reviewers
+  };
+}
+
+/**
+ * Normalize one runner entry from config, with its reviewers
+ *
+ * @param {object} r - Runner as written in config
+ * @param {string} on - Topic it runs for ('commit', 'push' or a topic name)
+ * @throws {Error} When its timeout doesn't parse
+ */
+function normalizeRunner(r, on) {
+  return normalizeReviewers({
+    name: r.name || 'unnamed',
+    command: r.command,
+    args: Array.isArray(r.args) ? r.args.map(String) : null,
+    on,
+    env: r.env || {},
+    llm: r.llm || false,
+    deterministic: isDeterministic(r),
+    parallel: Boolean(r.parallel),
+    dependsOn: [].concat(r.dependsOn || []),
+    inputs: [].concat(r.inputs || []),
+    files: [].concat(r.files || []),
+    ignore: [].concat(r.ignore || []),
+    cache: r.cache !== false,
+    isolation: r.isolation || null,
+    timeout: parseRunnerTimeout(r),
+    retries: Math.max(0, parseInt(r.retries, 10) || 0),
+    retryOn: [].concat(r.retryOn || []),
+    steeringPrompt: r.steeringPrompt || null,
+    chunkTokens: parseInt(r.chunkTokens, 10) || null,
+    failOn: r.failOn && typeof r.failOn === 'object' ? { ...r.failOn } : null,
+    price: r.price && typeof r.price === 'object' ? { ...r.price } : null,
+    charsPerToken: parseFloat(r.charsPerToken) || null,
+    ...normalizeLLMFields(r)
+  }, r);
+}
+
 /**
  * Normalize runners from config.
  * Supports:
@@ -144,14 +243,7 @@ function normalizeRunners(config) {
 
   // New format: top-level runners array
   if (config.runners && Array.isArray(config.runners)) {
-    return config.runners.map(r => ({
-      name: r.name || 'unnamed',
-      command: r.command,
-      on: r.on || 'commit',
-      env: r.env || {},
-      llm: r.llm || false,
-      steeringPrompt: r.steeringPrompt || null
-    }));
+    return config.runners.map(r => normalizeRunner(r, r.on || 'commit'));
   }
 
   // v4 topics format: extract runners from topics and dedupe
@@ -162,21 +254,14 @@ function normalizeRunners(config) {
       const topicRunners = topicConfig.runners || topicConfig || [];
       if (Array.isArray(topicRunners)) {
         for (const r of topicRunners) {
-          if (typeof r === 'object' && r.name && r.command) {
+          if (typeof r === 'object' && r.name && (r.command || r.type === 'llm' || Array.isArray(r.reviewers))) {
             if (!seen.has(r.name)) {
               seen.add(r.name);
               // Map topic to legacy 'on' field
               const on = topicName === 'pre-commit' ? 'commit' :
                          topicName === 'pre-push' ? 'push' :
                          topicName;
-              allRunners.push({
-                name: r.name,
-                command: r.command,
-                on,
-                env: r.env || {},
-                llm: r.llm || false,
-                steeringPrompt: r.steeringPrompt || null
-              });
+              allRunners.push(normalizeRunner(r, on));
             }
           }
         }
@@ -290,7 +375,14 @@ function loadConfigChain(projectRoot = null, cliConfigPath = null) {
   config.proof = { ...defaultProof, ...(config.proof || {}) };
 
   // Merge trailers defaults if not present
-  const defaultTrailers = { proof: 'agent-lease-proof', duration: 'agent-lease-duration', report: 'agent-lease-report' };
+  const defaultTrailers = {
+    proof: 'agent-lease-proof',
+    duration: 'agent-lease-duration',
+    report: 'agent-lease-report',
+    agentSummary: 'agent-lease-agent-summary',
+    llmFindings: 'agent-lease-llm-findings',
+    cost: 'agent-lease-cost'
+  };
   config.trailers = { ...defaultTrailers, ...(config.trailers || {}) };
 
   // Resolve lock dir
@@ -384,6 +476,154 @@ function getRunnersForTopic(config, topic) {
   });
 }
 
+/**
+ * Parse a duration like "30s", "15m", "2h", "1d" into milliseconds.
+ * Plain numbers are seconds. Throws on anything else, so a typo can't
+ * silently turn into "never expires" or "no timeout".
+ *
+ * @param {string|number} value
+ * @returns {number|null} Milliseconds, or null if unset
+ */
+function parseDuration(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const match = typeof value === 'number' ? [null, String(value), 's'] : String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  const ms = match ? parseFloat(match[1]) * units[(match[2] || 's').toLowerCase()] : NaN;
+  if (!(ms > 0)) {
+    throw new Error(`Invalid duration ${JSON.stringify(value)} (expected seconds, or a number with ms, s, m, h or d like "15m")`);
+  }
+  return ms;
+}
+
+// A runner's `timeout` in ms (null: the default), naming the runner if it can't be read
+function parseRunnerTimeout(r) {
+  try {
+    return parseDuration(r.timeout);
+  } catch (e) {
+    throw new Error(`timeout for runner ${r.name}: ${e.message}`);
+  }
+}
+
+/**
+ * Get the lease TTL for a topic in milliseconds.
+ * Per-topic `ttl` ({ "pre-commit": { "ttl": "15m" } }) wins over a top-level/defaults `ttl`.
+ *
+ * @param {object} config - Loaded config
+ * @param {string} topic - Topic name
+ * @returns {number|null} TTL in ms, or null for leases that never expire
+ * @throws on a ttl parseDuration() can't read
+ */
+function getTopicTtl(config, topic) {
+  const topicConfig = config.topics && config.topics[topic];
+  const ttl = topicConfig && !Array.isArray(topicConfig) && topicConfig.ttl !== undefined ? topicConfig.ttl : config.ttl;
+  try {
+    return parseDuration(ttl);
+  } catch (e) {
+    throw new Error(`ttl for topic ${topic}: ${e.message}`);
+  }
+}
+
+/**
+ * checkLock() options for a topic: lease lifetime and signature policy
+ * @param {object} config - Loaded config
+ * @param {string} topic
+ * @returns {{ ttl: number|null, requireSignature: boolean }}
+ */
+function getLeaseOptions(config, topic) {
+  return {
+    ttl: getTopicTtl(config, topic),
+    requireSignature: Boolean(config.requireSignature)
+  };
+}
+
+// How a topic's lease gets released
+const LEASE_MODES = ['attest', 'execute', 'hybrid'];
+
+/**
+ * Release mode for a topic (per-topic `mode`, else top-level/`defaults` `mode`):
+ *   attest  - agent submits proof text, agent-lease checks it (default)
+ *   execute - agent-lease runs the topic's runners and stamps from exit codes
+ *   hybrid  - agent submits proof and agent-lease re-runs some of its runners to spot-check it
+ *
+ * @param {object} config - Loaded config
+ * @param {string} topic
+ * @returns {string} 'attest' | 'execute' | 'hybrid'
+ */
+function getTopicMode(config, topic) {
+  const topicConfig = config.topics && config.topics[topic];
+  const mode = (topicConfig && !Array.isArray(topicConfig) && topicConfig.mode) || config.mode || 'attest';
+  if (!LEASE_MODES.includes(mode)) {
+    throw new Error(`Unknown mode "${mode}" for topic ${topic} (expected ${LEASE_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+/**
+ * Which claimed runners a hybrid release re-executes (per-topic `verify`, else
+ * top-level/`defaults` `verify`):
+ *   "deterministic" - every runner whose result should reproduce (default)
+ *   "all"           - every runner in the proof
+ *   <n>             - a random sample of n runners
+ *
+ * @param {object} config - Loaded config
+ * @param {string} topic
+ * @returns {string|number} 'deterministic' | 'all' | sample size
+ */
+function getTopicVerify(config, topic) {
+  const topicConfig = config.topics && config.topics[topic];
+  const verify = topicConfig && !Array.isArray(topicConfig) && topicConfig.verify !== undefined
+    ? topicConfig.verify
+    : config.verify;
+  if (verify === undefined || verify === null) return 'deterministic';
+  if (verify === 'all' || verify === 'deterministic') return verify;
+  if (Number.isInteger(verify) && verify > 0) return verify;
+  throw new Error(`Unknown verify "${verify}" for topic ${topic} (expected all, deterministic or a sample size)`);
+}
+
+/**
+ * Whether a topic stops at its first failing runner (per-topic `failFast`, else
+ * top-level/`defaults` `failFast`). With `failFast: false` every runner runs and
+ * the gate reports all failures at once.
+ *
+ * @param {object} config - Loaded config
+ * @param {string} topic
+ * @returns {boolean}
+ */
+function getTopicFailFast(config, topic) {
+  const topicConfig = config.topics && config.topics[topic];
+  const failFast = topicConfig && !Array.isArray(topicConfig) && topicConfig.failFast !== undefined
+    ? topicConfig.failFast
+    : config.failFast;
+  return failFast !== false;
+}
+
+/**
+ * A topic's LLM spend limits in USD: `perRun` caps one lease, `perDay` what
+ * every topic together spends in a UTC day. The topic's `budget` overrides the
+ * top-level/`defaults` `budget` field by field.
+ *
+ * @param {object} config - Loaded config
+ * @param {string} topic
+ * @returns {{ perRun: number|null, perDay: number|null }|null} null without a budget
+ */
+function getTopicBudget(config, topic) {
+  const topicConfig = config.topics && config.topics[topic];
+  const topicBudget = topicConfig && !Array.isArray(topicConfig) && topicConfig.budget;
+  const budget = { ...(config.budget || {}), ...(topicBudget || {}) };
+  const limits = { perRun: null, perDay: null };
+  for (const key of Object.keys(budget)) {
+    if (!(key in limits)) {
+      throw new Error(`Unknown budget "${key}" for topic ${topic} (expected perRun, perDay)`);
+    }
+    if (typeof budget[key] !== 'number' || !(budget[key] >= 0)) {
+      throw new Error(`Budget ${key} for topic ${topic} must be a dollar amount, got ${JSON.stringify(budget[key])}`);
+    }
+    limits[key] = budget[key];
+  }
+  return limits.perRun === null && limits.perDay === null ? null : limits;
+}
+
 /**
  * Load template for a topic from various locations
  * Priority: CLI path > .agent-lease/{topic}.md > built-in default
@@ -501,6 +741,10 @@ const DEFAULT_COMMIT_TEMPLATE = `# Commit Validation Gate
 ## Runners
 {{runners}}
 
+## Challenge Nonce
+{{nonce}}
+Echo it in every runner's Output: line (runners also get it as $AGENT_LEASE_NONCE).
+
 When everything checks out:
   npx agent-lease commit --audit-proof='<describe what you validated>'
 `;
@@ -519,6 +763,10 @@ const DEFAULT_PUSH_TEMPLATE = `# Push Validation Gate
 ## Runners
 {{runners}}
 
+## Challenge Nonce
+{{nonce}}
+Echo it in every runner's Output: line (runners also get it as $AGENT_LEASE_NONCE).
+
 When everything checks out:
   npx agent-lease push --audit-proof='<describe what you validated>'
 `;
@@ -542,12 +790,12 @@ function loadTemplate(phase, projectRoot) {
 /**
  * Interpolate template variables.
  * Supported: {{diff}}, {{files}}, {{project}}, {{branch}}, {{hash}}, {{runners}},
- *            {{topic}}, {{args}}, {{env:VAR_NAME}}
+ *            {{topic}}, {{args}}, {{nonce}}, {{env:VAR_NAME}}
  *
  * @param {string} template - Template string with {{var}} placeholders
  * @param {object} context - Git context from getGitContext()
  * @param {object} config - Loaded config (needs config._runners)
- * @param {object} [extra] - Extra context: { topic, args }
+ * @param {object} [extra] - Extra context: { topic, args, nonce }
  */
 function interpolateTemplate(template, context, config, extra = {}) {
   const runners = config._runners || [];
@@ -569,7 +817,8 @@ function interpolateTemplate(template, context, config, extra = {}) {
     .replace(/\{\{hash\}\}/g, context.hash || '')
     .replace(/\{\{runners\}\}/g, runnersFormatted)
     .replace(/\{\{topic\}\}/g, extra.topic || '')
-    .replace(/\{\{args\}\}/g, Array.isArray(extra.args) ? extra.args.join(' ') : (extra.args || ''));
+    .replace(/\{\{args\}\}/g, Array.isArray(extra.args) ? extra.args.join(' ') : (extra.args || ''))
+    .replace(/\{\{nonce\}\}/g, extra.nonce || '');
 
   // Replace {{env:VAR_NAME}} with environment variable values
   result = result.replace(/\{\{env:([^}]+)\}\}/g, (match, varName) => {
@@ -584,6 +833,13 @@ module.exports = {
   loadConfigChain,
   migrateConfig,
   getRunnersForTopic,
+  getTopicTtl,
+  getLeaseOptions,
+  getTopicMode,
+  getTopicVerify,
+  getTopicFailFast,
+  getTopicBudget,
+  parseDuration,
   isGitHook,
   loadTopicTemplate,
   saveConfig,
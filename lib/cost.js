@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Token and cost accounting for LLM runners
+ *
+ * Native runners report the tokens their provider counted. Command runners
+ * (`"llm": true`) can't, so their tokens are estimated from the text sent and
+ * received at `charsPerToken` (default 4) and marked `estimated`.
+ *
+ * Cost is tokens × price, in USD per million tokens: the runner's `price`
+ * ({ input, output }), else the built-in price of its model. Ollama runs
+ * locally and costs nothing. Runners with no known price count tokens only.
+ *
+ * Every lease that spends tokens is appended to .agent-lease/costs.jsonl, which
+ * the per-day budget is checked against.
+ */
+
+const DEFAULT_CHARS_PER_TOKEN = 4;
+
+// USD per million tokens, by model name prefix (the longest match wins)
+const MODEL_PRICES = {
+  'claude-opus-4-5': { input: 5, output: 25 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 }
+};
+
+/**
+ * Price of a runner's tokens in USD per million, or null when unknown
+ *
+ * @param {object} runner - Normalized runner ({ price, provider, model })
+ * @returns {{ input: number, output: number }|null}
+ */
+function getPrice(runner) {
+  if (runner.price) return { input: Number(runner.price.input) || 0, output: Number(runner.price.output) || 0 };
+  if (runner.provider === 'ollama') return { input: 0, output: 0 };
+  if (!runner.model) return null;
+  const prefix = Object.keys(MODEL_PRICES)
+    .filter(p => runner.model.startsWith(p))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? MODEL_PRICES[prefix] : null;
+}
+
+/**
+ * Estimated usage for text sent to and received from a model
+ *
+ * @returns {{ inputTokens: number, outputTokens: number, estimated: true }}
+ */
+function estimateUsage(runner, inputText, outputText) {
+  const charsPerToken = runner.charsPerToken || DEFAULT_CHARS_PER_TOKEN;
+  return {
+    inputTokens: Math.ceil(inputText.length / charsPerToken),
+    outputTokens: Math.ceil(outputText.length / charsPerToken),
+    estimated: true
+  };
+}
+
+/**
+ * Add the cost of a runner's usage, in USD (null when the price is unknown)
+ */
+function priceUsage(runner, usage) {
+  const price = getPrice(runner);
+  const costUsd = price ? (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6 : null;
+  return { ...usage, costUsd };
+}
+
+/**
+ * Sum usages (attempts, chunks, reviewers, runners). Estimated if any part is;
+ * the cost covers the parts with a known price, null if none has one.
+ *
+ * @param {object[]} usages - { inputTokens, outputTokens, estimated?, costUsd? }; falsy entries are ignored
+ * @returns {object|null} null when there is nothing to sum
+ */
+function sumUsage(usages) {
+  const parts = usages.filter(Boolean);
+  if (parts.length === 0) return null;
+  const priced = parts.filter(u => typeof u.costUsd === 'number');
+  const total = {
+    inputTokens: parts.reduce((sum, u) => sum + (u.inputTokens || 0), 0),
+    outputTokens: parts.reduce((sum, u) => sum + (u.outputTokens || 0), 0)
+  };
+  if (parts.some(u => u.estimated)) total.estimated = true;
+  if (parts.some(u => u.costUsd !== undefined)) {
+    total.costUsd = priced.length > 0 ? priced.reduce((sum, u) => sum + u.costUsd, 0) : null;
+  }
+  return total;
+}
+
+/**
+ * What a run's runners spent; cached results replay earlier output and cost nothing
+ *
+ * @param {object[]} runnerResults
+ * @returns {object|null} Summed usage, or null if no runner used tokens
+ */
+function runCost(runnerResults) {
+  return sumUsage(runnerResults.filter(r => !r.cached).map(r => r.usage));
+}
+
+/**
+ * Format dollars: cents above $1, two significant digits below ("$0.0012")
+ */
+function formatUsd(usd) {
+  if (usd === 0) return '$0';
+  return `$${usd >= 1 ? usd.toFixed(2) : usd.toPrecision(2)}`;
+}
+
+/**
+ * Format a usage for display and the cost trailer: "$0.0012 (1200+80 tokens)"
+ */
+function formatCost(usage) {
+  const usd = typeof usage.costUsd === 'number' ? formatUsd(usage.costUsd) : 'unpriced';
+  return `${usd} (${usage.inputTokens}+${usage.outputTokens} tokens${usage.estimated ? ', estimated' : ''})`;
+}
+
+// --- Spend ledger and budgets ---
+
+function getCostLedgerPath(projectRoot) {
+  return path.join(projectRoot, '.agent-lease', 'costs.jsonl');
+}
+
+/**
+ * Append a run's spend to .agent-lease/costs.jsonl
+ *
+ * @param {string} projectRoot
+ * @param {string} topic
+ * @param {object} usage - From runCost()
+ * @param {Date} now
+ */
+function recordSpend(projectRoot, topic, usage, now = new Date()) {
+  const ledger = getCostLedgerPath(projectRoot);
+  fs.mkdirSync(path.dirname(ledger), { recursive: true });
+  fs.appendFileSync(ledger, JSON.stringify({ timestamp: now.toISOString(), topic, ...usage }) + '\n');
+}
+
+/**
+ * USD spent on the UTC day of `now`, across every topic
+ */
+function spentOn(projectRoot, now = new Date()) {
+  const ledger = getCostLedgerPath(projectRoot);
+  if (!fs.existsSync(ledger)) return 0;
+  const day = now.toISOString().slice(0, 10);
+  return fs.readFileSync(ledger, 'utf8').split('\n').reduce((sum, line) => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      return sum;
+    }
+    return entry.timestamp && entry.timestamp.startsWith(day) && typeof entry.costUsd === 'number' ? sum + entry.costUsd : sum;
+  }, 0);
+}
+
+/**
+ * Check a run against its topic's budget
+ *
+ * @param {object} budget - { perRun, perDay } in USD (see getTopicBudget())
+ * @param {number} runUsd - This run's cost
+ * @param {number} spentBefore - Spent earlier today, not counting this run
+ * @returns {string|null} Why the budget is exceeded, or null
+ */
+function checkBudget(budget, runUsd, spentBefore) {
+  if (budget.perRun !== null && runUsd > budget.perRun) {
+    return `this run cost ${formatUsd(runUsd)}, over the ${formatUsd(budget.perRun)} per-run budget`;
+  }
+  if (budget.perDay !== null && spentBefore + runUsd > budget.perDay) {
+    return `${formatUsd(spentBefore + runUsd)} spent today, over the ${formatUsd(budget.perDay)} daily budget`;
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_CHARS_PER_TOKEN,
+  MODEL_PRICES,
+  getPrice,
+  estimateUsage,
+  priceUsage,
+  sumUsage,
+  runCost,
+  formatUsd,
+  formatCost,
+  getCostLedgerPath,
+  recordSpend,
+  spentOn,
+  checkBudget
+};
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * LLM providers for agent-lease
+ *
+ * A `type: "llm"` runner sends its prompt to one of these providers over HTTP
+ * instead of shelling out to a CLI:
+ *   - anthropic          Messages API (ANTHROPIC_API_KEY)
+ *   - openai             Chat Completions API (OPENAI_API_KEY)
+ *   - ollama             Local chat API, no key
+ *   - openai-compatible  Any Chat Completions endpoint at `baseUrl` (vLLM, LM Studio, gateways)
+ *
+ * `baseUrl` overrides a provider's endpoint (e.g. a local stand-in server in
+ * tests) and `apiKeyEnv` the env var its key is read from.
+ */
+
+// Reply length cap unless the runner sets `maxTokens`
+const DEFAULT_MAX_TOKENS = 1024;
+
+function chatCompletionsRequest(runner, messages) {
+  return {
+    path: '/chat/completions',
+    body: {
+      model: runner.model,
+      max_tokens: runner.maxTokens || DEFAULT_MAX_TOKENS,
+      messages
+    }
+  };
+}
+
+function chatCompletionsReply(json) {
+  const choice = json.choices && json.choices[0];
+  return {
+    text: choice && choice.message ? choice.message.content || '' : null,
+    usage: json.usage ? { inputTokens: json.usage.prompt_tokens, outputTokens: json.usage.completion_tokens } : null
+  };
+}
+
+const PROVIDERS = {
+  anthropic: {
+    baseUrl: 'https://api.anthropic.com',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    authHeaders: key => ({ 'x-api-key': key, 'anthropic-version': '2023-06-01' }),
+    request: (runner, messages) => ({
+      path: '/v1/messages',
+      body: {
+        model: runner.model,
+        max_tokens: runner.maxTokens || DEFAULT_MAX_TOKENS,
+        messages
+      }
+    }),
+    reply: json => ({
+      text: Array.isArray(json.content) ? json.content.filter(c => c.type === 'text').map(c => c.text).join('') : null,
+      usage: json.usage ? { inputTokens: json.usage.input_tokens, outputTokens: json.usage.output_tokens } : null
+    })
+  },
+
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    authHeaders: key => ({ authorization: `Bearer ${key}` }),
+    request: chatCompletionsRequest,
+    reply: chatCompletionsReply
+  },
+
+  ollama: {
+    baseUrl: 'http://localhost:11434',
+    apiKeyEnv: null,
+    authHeaders: () => ({}),
+    request: (runner, messages) => ({
+      path: '/api/chat',
+      body: {
+        model: runner.model,
+        stream: false,
+        messages
+      }
+    }),
+    reply: json => ({
+      text: json.message ? json.message.content || '' : null,
+      usage: json.prompt_eval_count !== undefined ? { inputTokens: json.prompt_eval_count, outputTokens: json.eval_count } : null
+    })
+  },
+
+  'openai-compatible': {
+    baseUrl: null,
+    apiKeyEnv: null,
+    authHeaders: key => (key ? { authorization: `Bearer ${key}` } : {}),
+    request: chatCompletionsRequest,
+    reply: chatCompletionsReply
+  }
+};
+
+/**
+ * Send a prompt to a runner's provider and return the reply
+ *
+ * @param {object} runner - Normalized llm runner ({ provider, model, baseUrl, apiKeyEnv, maxTokens })
+ * @param {string|object[]} prompt - A user message, or the conversation so far
+ *   ([{ role: 'user' | 'assistant', content }])
+ * @param {object} options - { env, signal }
+ *   env: where API keys are read from (defaults to process.env)
+ *   signal: AbortSignal that cancels the request (runner timeout)
+ * @returns {Promise<{ text: string, usage: { inputTokens, outputTokens }|null }>}
+ *   Rejects on config errors, HTTP errors and replies without text
+ */
+async function completePrompt(runner, prompt, options = {}) {
+  const env = options.env || process.env;
+  const provider = PROVIDERS[runner.provider];
+  if (!provider) {
+    throw new Error(`Unknown provider "${runner.provider}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  if (!runner.model) {
+    throw new Error(`llm runner ${runner.name} needs a model`);
+  }
+
+  const baseUrl = runner.baseUrl || provider.baseUrl;
+  if (!baseUrl) {
+    throw new Error(`Provider ${runner.provider} needs a baseUrl`);
+  }
+
+  const keyEnv = runner.apiKeyEnv || provider.apiKeyEnv;
+  const key = keyEnv ? env[keyEnv] : null;
+  if (keyEnv && !key && provider.apiKeyEnv) {
+    throw new Error(`${keyEnv} is not set`);
+  }
+
+  const messages = typeof prompt === 'string' ? [{ role: 'user', content: prompt }] : prompt;
+  const { path, body } = provider.request(runner, messages);
+  const response = await fetch(baseUrl.replace(/\/+$/, '') + path, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...provider.authHeaders(key) },
+    body: JSON.stringify(body),
+    signal: options.signal
+  });
+
+  const raw = await response.text();
+  if (!response.ok) {
+    throw new Error(`${runner.provider} returned HTTP ${response.status}: ${raw.slice(0, 200)}`);
+  }
+
+  let json;
+  try {
+    json = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`${runner.provider} returned invalid JSON: ${raw.slice(0, 200)}`);
+  }
+
+  const reply = provider.reply(json);
+  if (typeof reply.text !== 'string') {
+    throw new Error(`${runner.provider} reply had no text: ${raw.slice(0, 200)}`);
+  }
+  return reply;
+}
+
+module.exports = {
+  PROVIDERS,
+  completePrompt
+};
@@ -1,7 +1,12 @@
 #!/usr/bin/env node
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { execSync } = require('child_process');
+const { resultStatus } = require('./runner');
+const { buildSarif } = require('./sarif');
+const { runCost, formatCost } = require('./cost');
 
 /**
  * Lock/Lease Manager for agent-lease v2
@@ -11,8 +16,391 @@ const { execSync } = require('child_process');
  *   - Project-local locks (.agent-lease/locks/)
  *   - Env var overrides
  *   - Audit trail with runner output
+ *   - Race-free create/release when several agents share a repo
  */
 
+// How long to wait for another process's release/replace to finish,
+// and when an abandoned mutex (crashed process) may be broken.
+const MUTEX_TIMEOUT = 5000;
+const MUTEX_STALE = 30000;
+
+// `prev` of the first audit log entry
+const AUDIT_GENESIS = '0'.repeat(64);
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Identity of the process creating or stamping a lock.
+ * Agents sharing a machine should set AGENT_LEASE_AGENT_ID to tell each other apart.
+ */
+function getLockOwner() {
+  return {
+    pid: process.pid,
+    host: os.hostname(),
+    agent: process.env.AGENT_LEASE_AGENT_ID || ''
+  };
+}
+
+function describeOwner(owner) {
+  if (!owner) return 'unknown';
+  const who = owner.agent ? `${owner.agent}@` : '';
+  return `${who}${owner.host || 'unknown'} (pid ${owner.pid || '?'})`;
+}
+
+/**
+ * Same owner = same host and agent id. PIDs differ between the hook that
+ * creates a lock and the command that releases it, so they're informational.
+ * Locks without an owner predate ownership and are open to anyone.
+ */
+function isLockOwner(lock, owner = getLockOwner()) {
+  if (!lock || !lock.owner || !lock.owner.host) return true;
+  return lock.owner.host === owner.host && (lock.owner.agent || '') === owner.agent;
+}
+
+// --- Lock file format ---
+
+// Version written by serializeLock(). Legacy KEY=VALUE locks parse as version 0.
+const LOCK_VERSION = 1;
+
+// Legacy GIT_TRAILER_* fields → lock.trailers keys
+const LEGACY_TRAILER_KEYS = {
+  GIT_TRAILER_PROOF: 'proof',
+  GIT_TRAILER_DURATION: 'duration',
+  GIT_TRAILER_REPORT: 'report',
+  GIT_TRAILER_AGENT_SUMMARY: 'agentSummary',
+  GIT_TRAILER_LLM_FINDINGS: 'llmFindings'
+};
+
+// Order trailers are written to the commit message
+const TRAILER_ORDER = ['proof', 'duration', 'report', 'agentSummary', 'llmFindings', 'cost'];
+
+// Challenge nonces carry a fixed prefix so an old one is recognisable in proof output
+const NONCE_PATTERN = /al-[0-9a-f]{16}/;
+
+function newNonce() {
+  return `al-${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * Check that a runner's proof output echoes the lock's challenge nonce
+ *
+ * @param {string} output - Runner output from the agent's proof
+ * @param {string|null} nonce - The pending lock's nonce
+ * @returns {string} 'ok' | 'missing' | 'stale' (carries some other lock's nonce)
+ */
+function checkProofNonce(output, nonce) {
+  const text = output || '';
+  if (nonce && text.includes(nonce)) return 'ok';
+  return NONCE_PATTERN.test(text) ? 'stale' : 'missing';
+}
+
+/**
+ * Build a fresh PENDING lock document
+ */
+function newLock({ guid = null, project = null, topic = null, owner = null, nonce = null } = {}) {
+  const now = new Date().toISOString();
+  return {
+    version: LOCK_VERSION,
+    guid,
+    project,
+    topic,
+    created: now,
+    owner,
+    nonce,
+    status: 'PENDING',
+    history: [{ status: 'PENDING', at: now, by: owner }],
+    release: null,
+    binding: {},
+    runners: [],
+    trailers: {},
+    proofs: {}
+  };
+}
+
+function parseLegacyLock(text) {
+  const data = {};
+  for (const line of text.split('\n')) {
+    const [key, ...rest] = line.split('=');
+    if (key && rest.length) data[key] = rest.join('=');
+  }
+
+  const owner = data.OWNER_HOST
+    ? { pid: data.OWNER_PID || null, host: data.OWNER_HOST, agent: data.OWNER_AGENT || '' }
+    : null;
+  const lock = newLock({ guid: data.LOCK_GUID || null, project: data.PROJECT || null, topic: data.TOPIC || null, owner });
+  lock.version = 0;
+  lock.created = data.CREATED || null;
+  lock.history = [{ status: 'PENDING', at: lock.created, by: owner }];
+  if (data.REMOTE) lock.remote = data.REMOTE;
+
+  if (data.AUDIT_PROOF_PASSED) {
+    lock.status = 'VALIDATED';
+    lock.release = {
+      at: data.AUDIT_PROOF_PASSED,
+      by: null,
+      forced: data.FORCED === 'true',
+      mode: data.PROOF_MODE || 'runner'
+    };
+    lock.history.push({ status: 'VALIDATED', at: data.AUDIT_PROOF_PASSED, by: null });
+  }
+
+  if (data.TREE) lock.binding.tree = data.TREE;
+  if (data.RANGE) lock.binding.range = data.RANGE;
+
+  const count = parseInt(data.RUNNERS_COUNT, 10) || 0;
+  for (let i = 0; i < count; i++) {
+    const passed = data[`RUNNER_${i}_PASSED`] === 'true';
+    const runner = { name: data[`RUNNER_${i}_NAME`], status: passed ? 'PASS' : 'FAIL', passed };
+    if (data[`RUNNER_${i}_DURATION`]) runner.duration = parseInt(data[`RUNNER_${i}_DURATION`], 10);
+    lock.runners.push(runner);
+  }
+
+  for (const [field, key] of Object.entries(LEGACY_TRAILER_KEYS)) {
+    if (data[field]) lock.trailers[key] = data[field];
+  }
+  if (data.GIT_TRAILER_REPORT) lock.proofs.report = data.GIT_TRAILER_REPORT;
+
+  return lock;
+}
+
+/**
+ * Parse lock file content into a lock document.
+ * Reads the versioned JSON format and legacy KEY=VALUE locks (as version 0).
+ *
+ * @param {string} content - Raw lock file content
+ * @returns {object|null} Lock document, or null if the content is empty or unreadable
+ */
+function parseLock(content) {
+  const text = (content || '').trim();
+  if (!text) return null;
+
+  if (text.startsWith('{')) {
+    try {
+      const lock = JSON.parse(text);
+      if (!lock || typeof lock !== 'object' || Array.isArray(lock)) return null;
+      return {
+        nonce: null,
+        history: [],
+        binding: {},
+        runners: [],
+        trailers: {},
+        proofs: {},
+        ...lock
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return parseLegacyLock(text);
+}
+
+/**
+ * Serialize a lock document to the current JSON format
+ * @param {object} lock
+ * @returns {string}
+ */
+function serializeLock(lock) {
+  return JSON.stringify({ ...lock, version: LOCK_VERSION }, null, 2) + '\n';
+}
+
+/**
+ * Format a lock's recorded trailers as `name: value` lines
+ *
+ * @param {object} lock - Lock document
+ * @param {object} names - Trailer key → trailer name (config.trailers)
+ * @returns {string[]}
+ */
+function formatTrailers(lock, names = {}) {
+  const trailers = (lock && lock.trailers) || {};
+  return TRAILER_ORDER
+    .filter(key => trailers[key])
+    .map(key => `${names[key] || `agent-lease-${key}`}: ${String(trailers[key]).replace(/[\r\n]+/g, ' ')}`);
+}
+
+/**
+ * Lease signing key, kept outside the repo so a sandboxed agent that can't
+ * read it can't stamp a lock by hand: $XDG_CONFIG_HOME/agent-lease/key
+ */
+function getSigningKeyPath() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'agent-lease', 'key');
+}
+
+/**
+ * @returns {string|null} The signing key, or null when none is readable
+ */
+function loadSigningKey() {
+  try {
+    return fs.readFileSync(getSigningKeyPath(), 'utf8').trim() || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function computeSignature(lock, key) {
+  const { signature, ...body } = lock;
+  return crypto.createHmac('sha256', key).update(serializeLock(body)).digest('hex');
+}
+
+/**
+ * Sign a lock document in place: HMAC-SHA256 over its serialized form
+ */
+function signLock(lock, key) {
+  lock.signature = computeSignature(lock, key);
+  return lock;
+}
+
+/**
+ * Check a lock file's signature against the key.
+ * Uses the raw JSON rather than parseLock() so filled-in defaults
+ * can't change what is hashed.
+ *
+ * @returns {'valid'|'invalid'|'missing'}
+ */
+function verifyLockSignature(content, key) {
+  let raw;
+  try {
+    raw = JSON.parse(content);
+  } catch (e) {
+    return 'missing'; // Legacy KEY=VALUE locks are never signed
+  }
+  if (!raw || typeof raw.signature !== 'string') return 'missing';
+
+  const expected = Buffer.from(computeSignature(raw, key));
+  const actual = Buffer.from(raw.signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? 'valid' : 'invalid';
+}
+
+function readLock(lockPath) {
+  return parseLock(fs.readFileSync(lockPath, 'utf8'));
+}
+
+function tempPathFor(filePath) {
+  return `${filePath}.${process.pid}.${Math.random().toString(36).slice(2, 8)}.tmp`;
+}
+
+/**
+ * Replace a file atomically: readers see the old or the new content, never a partial write.
+ */
+function writeFileAtomic(filePath, content) {
+  const tmp = tempPathFor(filePath);
+  fs.writeFileSync(tmp, content);
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Create a file only if it doesn't exist, with its full content visible at once.
+ * @returns {boolean} false if the file already existed
+ */
+function createFileExclusive(filePath, content) {
+  const tmp = tempPathFor(filePath);
+  fs.writeFileSync(tmp, content);
+  try {
+    fs.linkSync(tmp, filePath);
+    return true;
+  } catch (e) {
+    if (e.code === 'EEXIST') return false;
+    // Filesystems without hard links: fall back to O_EXCL
+    try {
+      fs.writeFileSync(filePath, content, { flag: 'wx' });
+      return true;
+    } catch (e2) {
+      if (e2.code === 'EEXIST') return false;
+      throw e2;
+    }
+  } finally {
+    try { fs.unlinkSync(tmp); } catch (e) {}
+  }
+}
+
+/**
+ * Run fn while holding an exclusive mutex on a lock file (mkdir is atomic).
+ * Serializes read-modify-write cycles so two agents can't both stamp one lock.
+ */
+function withLockMutex(lockPath, fn) {
+  const mutex = `${lockPath}.mutex`;
+  const deadline = Date.now() + MUTEX_TIMEOUT;
+
+  for (;;) {
+    try {
+      fs.mkdirSync(mutex);
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    try {
+      if (Date.now() - fs.statSync(mutex).mtimeMs > MUTEX_STALE) {
+        fs.rmdirSync(mutex);
+        continue;
+      }
+    } catch (e) {
+      continue; // Released between mkdir and stat
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock mutex ${mutex}`);
+    }
+    sleepSync(10 + Math.floor(Math.random() * 20));
+  }
+
+  try {
+    return fn();
+  } finally {
+    try { fs.rmdirSync(mutex); } catch (e) {}
+  }
+}
+
+/**
+ * Compare-and-swap precondition for stamping a lock. Must run inside withLockMutex.
+ *
+ * @param {string} lockPath
+ * @param {object} options - { guid, force, requireSignature } guid = the LOCK_GUID the caller validated against
+ * @returns {{ ok: boolean, lock?: object, forced?: boolean, reason?: string, owner?: string }}
+ */
+function claimLockForRelease(lockPath, options = {}) {
+  if (!fs.existsSync(lockPath)) {
+    return { ok: false, reason: 'No lock found' };
+  }
+
+  const lock = readLock(lockPath) || newLock();
+
+  if (options.guid && lock.guid !== options.guid) {
+    return { ok: false, reason: 'Lock was replaced by another process' };
+  }
+  if (options.requireSignature && !loadSigningKey()) {
+    return { ok: false, reason: `Signing key not readable at ${getSigningKeyPath()} (requireSignature is set)` };
+  }
+  if (lock.status === 'VALIDATED') {
+    return { ok: false, reason: 'Lock already released' };
+  }
+  const foreign = !isLockOwner(lock);
+  if (foreign && !options.force) {
+    const owner = describeOwner(lock.owner);
+    return { ok: false, reason: `Lock owned by ${owner}`, owner };
+  }
+
+  return { ok: true, lock, forced: foreign };
+}
+
+/**
+ * Mark a claimed lock VALIDATED: status history, releaser and content binding
+ */
+function stampLock(lock, topic, mode, forced) {
+  const now = new Date().toISOString();
+  const by = getLockOwner();
+  const binding = getLeaseBinding(topic, lock);
+
+  lock.status = 'VALIDATED';
+  lock.history = [...(lock.history || []), { status: 'VALIDATED', at: now, by }];
+  lock.release = { at: now, by, forced: Boolean(forced), mode };
+  lock.binding = binding.value ? { [binding.key]: binding.value } : {};
+  return lock;
+}
+
 function ensureDir(dir) {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
@@ -33,6 +421,95 @@ function getLockPath(projectName, lockDir, topic = 'pre-commit') {
   return path.join(lockDir, `agent-lease-${projectName}-${suffix}${shortHash}.lock`);
 }
 
+function isPushTopic(topic) {
+  return topic === 'push' || topic === 'pre-push';
+}
+
+/**
+ * Tree hash of the current index (what `git commit` would record)
+ */
+function getStagedTree() {
+  try {
+    return execSync('git write-tree 2>/dev/null', { encoding: 'utf8' }).trim() || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Full SHA of HEAD, or null before the first commit
+ */
+function getHeadCommit() {
+  try {
+    return execSync('git rev-parse HEAD 2>/dev/null', { encoding: 'utf8' }).trim() || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Tree of HEAD, or null before the first commit
+ */
+function getHeadTree() {
+  try {
+    return execSync('git rev-parse HEAD^{tree} 2>/dev/null', { encoding: 'utf8' }).trim() || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Refs a push sends, as git gives them to the pre-push hook on stdin
+ * (<local ref> <local sha> <remote ref> <remote sha> per line). The hook passes
+ * them on in AGENT_LEASE_PUSH_REFS, since stdin can't be read safely outside it.
+ *
+ * @returns {string|null} "<remote ref>=<remote sha>..<local sha>" per ref, sorted,
+ *   or null when not run from the hook (or the push sends nothing)
+ */
+function getPushedRefs() {
+  const refs = (process.env.AGENT_LEASE_PUSH_REFS || '').split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .filter(fields => fields.length === 4)
+    .map(([, localSha, remoteRef, remoteSha]) => `${remoteRef}=${remoteSha}..${localSha}`);
+  return refs.length > 0 ? refs.sort().join(' ') : null;
+}
+
+/**
+ * Ref range a push sends: the refs git announced to the pre-push hook, else
+ * a guess of <remote base>..<HEAD> (HEAD alone when no remote branch is known)
+ */
+function getPushRange() {
+  const pushed = getPushedRefs();
+  if (pushed) return pushed;
+
+  const head = getHeadCommit();
+  if (!head) return null;
+
+  for (const ref of ['@{upstream}', 'origin/main', 'origin/master']) {
+    try {
+      const base = execSync(`git rev-parse --verify -q ${ref} 2>/dev/null`, { encoding: 'utf8' }).trim();
+      if (base) return `${base}..${head}`;
+    } catch (e) {}
+  }
+  return head;
+}
+
+/**
+ * What a lease is bound to: the staged tree for commit-style topics,
+ * the pushed ref range for push.
+ *
+ * @param {object|null} pending - Lock being released: outside the hook, a push
+ *   lease binds to the refs its gate was shown (recorded by createLock())
+ * @returns {{ key: string, value: string|null }} key into lock.binding ('tree' | 'range')
+ */
+function getLeaseBinding(topic, pending = null) {
+  if (isPushTopic(topic)) {
+    const recorded = pending && pending.binding && pending.binding.range;
+    return { key: 'range', value: getPushedRefs() || recorded || getPushRange() };
+  }
+  return { key: 'tree', value: getStagedTree() };
+}
+
 function getAllLocks(projectName, lockDir, topic = null) {
   const prefix = `agent-lease-${projectName}-`;
   try {
@@ -55,23 +532,50 @@ function getAllLocks(projectName, lockDir, topic = null) {
   }
 }
 
-function createLock(projectName, lockDir, topic = 'pre-commit') {
+/**
+ * Create a PENDING lock for the current HEAD.
+ * Creation is exclusive: if another process got there first, its lock is kept.
+ * Each lock carries a fresh challenge nonce that agent proof must echo back.
+ *
+ * @param {object} options - { replace } overwrite an existing (stale/expired) lock
+ * @returns {{ lockPath: string, guid: string, nonce: string, created: boolean }}
+ */
+function createLock(projectName, lockDir, topic = 'pre-commit', options = {}) {
   ensureDir(lockDir);
   const lockPath = getLockPath(projectName, lockDir, topic);
   const guid = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
-  const content = [
-    `LOCK_GUID=${guid}`,
-    `CREATED=${new Date().toISOString()}`,
-    `PROJECT=${projectName}`,
-    `TOPIC=${topic}`,
-    `STATUS=PENDING`
-  ].join('\n') + '\n';
+  const nonce = newNonce();
+  const lock = newLock({ guid, project: projectName, topic, owner: getLockOwner(), nonce });
+  // A push gate remembers the refs git announced, for the release to bind to
+  const pushed = isPushTopic(topic) ? getPushedRefs() : null;
+  if (pushed) lock.binding = { range: pushed };
+  const content = serializeLock(lock);
+
+  if (options.replace) {
+    withLockMutex(lockPath, () => writeFileAtomic(lockPath, content));
+    return { lockPath, guid, nonce, created: true };
+  }
 
-  fs.writeFileSync(lockPath, content);
-  return { lockPath, guid };
+  if (createFileExclusive(lockPath, content)) {
+    return { lockPath, guid, nonce, created: true };
+  }
+
+  // Lost the race: report the lock that won
+  const existing = readLock(lockPath);
+  return {
+    lockPath,
+    guid: existing ? existing.guid : null,
+    nonce: existing ? existing.nonce : null,
+    created: false
+  };
 }
 
-function checkLock(projectName, lockDir, topic = 'pre-commit') {
+/**
+ * @param {object} options - { ttl, requireSignature }
+ *   ttl: lease lifetime in ms (null = never expires)
+ *   requireSignature: reject released leases when no signing key is readable
+ */
+function checkLock(projectName, lockDir, topic = 'pre-commit', options = {}) {
   const lockPath = getLockPath(projectName, lockDir, topic);
 
   if (!fs.existsSync(lockPath)) {
@@ -79,22 +583,55 @@ function checkLock(projectName, lockDir, topic = 'pre-commit') {
   }
 
   const content = fs.readFileSync(lockPath, 'utf8');
-  const auditPassed = content.includes('AUDIT_PROOF_PASSED');
+  // Unreadable lock content counts as a pending lock: it still gates
+  const lock = parseLock(content) || newLock({ topic });
+  const auditPassed = lock.status === 'VALIDATED';
 
-  // Parse lock file
-  const lines = content.split('\n');
-  const data = {};
-  for (const line of lines) {
-    const [key, ...rest] = line.split('=');
-    if (key && rest.length) data[key] = rest.join('=');
+  // A released lease only covers the content it was validated against.
+  // Unbound leases (no recorded tree/range) can't prove that, so they're stale too.
+  let stale = false;
+  let binding = null;
+  if (auditPassed) {
+    binding = getLeaseBinding(topic);
+    const recorded = lock.binding[binding.key];
+    stale = !recorded || recorded !== binding.value;
+    binding.recorded = recorded || null;
+  }
+
+  // Released leases expire `ttl` ms after the proof was stamped
+  let expired = false;
+  let expiresAt = null;
+  if (auditPassed && options.ttl && lock.release) {
+    const releasedAt = Date.parse(lock.release.at);
+    if (!isNaN(releasedAt)) {
+      expiresAt = new Date(releasedAt + options.ttl).toISOString();
+      expired = Date.now() > releasedAt + options.ttl;
+    }
+  }
+
+  // With a signing key, only leases stamped by a key holder count as released.
+  // signature: 'valid' | 'invalid' | 'missing' | 'unverifiable' (no key) | null (not released)
+  let signature = null;
+  let forged = false;
+  if (auditPassed) {
+    const key = loadSigningKey();
+    signature = key ? verifyLockSignature(content, key) : 'unverifiable';
+    forged = key ? signature !== 'valid' : Boolean(options.requireSignature);
   }
 
   return {
     exists: true,
     auditPassed,
+    stale,
+    expired,
+    expiresAt,
+    signature,
+    forged,
+    valid: auditPassed && !stale && !expired && !forged,
+    binding,
     lockPath,
     content,
-    data,
+    lock,
     topic
   };
 }
@@ -106,70 +643,143 @@ function checkPushLock(projectName, lockDir) {
 function releaseLock(projectName, lockDir, runnerResults = [], topic = 'pre-commit', options = {}) {
   const lockPath = getLockPath(projectName, lockDir, topic);
 
-  if (!fs.existsSync(lockPath)) {
-    return { released: false, reason: 'No lock found', topic };
-  }
+  return withLockMutex(lockPath, () => {
+    const claim = claimLockForRelease(lockPath, options);
+    if (!claim.ok) {
+      return { released: false, reason: claim.reason, owner: claim.owner || null, topic };
+    }
 
-  let content = fs.readFileSync(lockPath, 'utf8');
-  content += `AUDIT_PROOF_PASSED=${new Date().toISOString()}\n`;
-  content += `STATUS=VALIDATED\n`;
+    const lock = stampLock(claim.lock, topic, 'runner', claim.forced);
 
-  // Append runner results summary
-  if (runnerResults.length > 0) {
-    content += `RUNNERS_COUNT=${runnerResults.length}\n`;
-    runnerResults.forEach((r, i) => {
-      content += `RUNNER_${i}_NAME=${r.name}\n`;
-      content += `RUNNER_${i}_PASSED=${r.passed}\n`;
-      content += `RUNNER_${i}_DURATION=${r.duration}ms\n`;
-    });
+    // Record runner results summary
+    if (runnerResults.length > 0) {
+      lock.runners = runnerResults.map(r => ({
+        name: r.name,
+        status: resultStatus(r),
+        passed: r.passed,
+        duration: r.duration,
+        hash: r.proof ? r.proof.hash : null,
+        ...(r.cached && { cached: true }),
+        ...(r.attempts && { attempts: r.attempts.length, flaky: Boolean(r.flaky) }),
+        ...(r.proof && r.proof.chunks && { chunks: r.proof.chunks.length }),
+        ...(r.proof && r.proof.reviewers && { consensus: r.consensus, reviewers: r.proof.reviewers.length })
+      }));
 
-    // Generate git trailer strings for prepare-commit-msg hook
-    const proofParts = runnerResults.map(r => {
-      const durationSec = (r.duration / 1000).toFixed(1);
-      const hash = r.proof ? r.proof.hash : '';
-      return hash ? `${r.name}(${durationSec}s):${hash}` : `${r.name}(${durationSec}s)`;
-    });
-    const totalDurationSec = runnerResults.reduce((sum, r) => sum + r.duration, 0) / 1000;
-    content += `GIT_TRAILER_PROOF=${proofParts.join(' ')}\n`;
-    content += `GIT_TRAILER_DURATION=${totalDurationSec.toFixed(1)}s\n`;
-  }
+      // Git trailer strings for the prepare-commit-msg hook (cached results keep their original hash)
+      const proofParts = runnerResults.map(r => {
+        let timing = r.skipped ? 'skipped' : r.cached ? 'cached' : r.timedOut ? 'timeout' : `${(r.duration / 1000).toFixed(1)}s`;
+        if (r.attempts) timing += `,attempts=${r.attempts.length}`;
+        const hash = r.proof ? r.proof.hash : '';
+        return hash ? `${r.name}(${timing}):${hash}` : `${r.name}(${timing})`;
+      });
+      const totalDurationSec = runnerResults.reduce((sum, r) => sum + r.duration, 0) / 1000;
+      lock.trailers.proof = proofParts.join(' ');
+      lock.trailers.duration = `${totalDurationSec.toFixed(1)}s`;
 
-  // Archive proof files if runner results have proof data
-  const projectRoot = options.projectRoot || process.cwd();
-  if (runnerResults.some(r => r.proof)) {
-    const proofDir = path.join(projectRoot, '.agent-lease', 'proofs');
-    ensureDir(proofDir);
+      // What the LLM runners spent on this lease
+      const cost = runCost(runnerResults);
+      if (cost) lock.trailers.cost = formatCost(cost);
+    }
 
-    // Write individual runner proofs
-    runnerResults.forEach(r => {
-      if (r.proof && r.proof.output) {
-        fs.writeFileSync(path.join(proofDir, `${r.proof.hash}.txt`), r.proof.output);
-      }
-    });
+    // Archive proof files if runner results have proof data
+    const projectRoot = options.projectRoot || process.cwd();
+    if (runnerResults.some(r => r.proof)) {
+      const proofDir = path.join(projectRoot, '.agent-lease', 'proofs');
+      ensureDir(proofDir);
 
-    // Write consolidated report
-    let shortHash = 'new';
-    try {
-      shortHash = execSync('git rev-parse --short HEAD 2>/dev/null', { encoding: 'utf8' }).trim();
-    } catch (e) {}
-    const reportName = `${topic}-${shortHash}.json`;
-    fs.writeFileSync(path.join(proofDir, reportName), JSON.stringify({
-      timestamp: new Date().toISOString(),
-      topic,
-      runners: runnerResults.map(r => ({
-        name: r.name,
-        passed: r.passed,
-        duration: r.duration,
-        summary: r.proof ? r.proof.summary : null,
-        hash: r.proof ? r.proof.hash : null
-      }))
-    }, null, 2));
-    content += `GIT_TRAILER_REPORT=${reportName}\n`;
-  }
+      // Write individual runner proofs, plus each reviewed chunk's and each reviewer's for LLM runners
+      const outputs = runnerResults.filter(r => r.proof).flatMap(r => nestedProofs(r.proof))
+        .filter(proof => proof.output);
+      outputs.forEach(proof => {
+        fs.writeFileSync(path.join(proofDir, `${proof.hash}.txt`), proof.output);
+      });
+
+      // Write consolidated report
+      const reportName = `${proofStem(topic)}.json`;
+      const cost = runCost(runnerResults);
+      const report = JSON.stringify({
+        timestamp: new Date().toISOString(),
+        topic,
+        ...(cost && { cost }),
+        runners: runnerResults.map(r => ({
+          name: r.name,
+          passed: r.passed,
+          duration: r.duration,
+          summary: r.proof ? r.proof.summary : null,
+          hash: r.proof ? r.proof.hash : null,
+          status: resultStatus(r),
+          exitCode: r.exitCode === undefined ? null : r.exitCode,
+          cached: Boolean(r.cached),
+          skipped: Boolean(r.skipped),
+          ...(r.attempts && { attempts: r.attempts, flaky: Boolean(r.flaky) }),
+          ...(r.thresholds && { thresholds: r.thresholds }),
+          ...(r.usage && !r.cached && { usage: r.usage }),
+          ...(r.proof && r.proof.chunks && {
+            chunks: r.proof.chunks.map(({ output, ...chunk }) => chunk)
+          }),
+          ...(r.proof && r.proof.reviewers && {
+            consensus: r.consensus,
+            reviewers: r.proof.reviewers.map(({ output, ...reviewer }) => ({
+              ...reviewer,
+              ...(reviewer.chunks && { chunks: reviewer.chunks.map(({ output, ...chunk }) => chunk) })
+            }))
+          })
+        }))
+      }, null, 2);
+      fs.writeFileSync(path.join(proofDir, reportName), report);
+      lock.trailers.report = reportName;
+      lock.proofs.report = reportName;
+      lock.proofs.hash = crypto.createHash('sha256').update(report).digest('hex').slice(0, 7);
+      lock.proofs.outputs = [...new Set(outputs.map(proof => `${proof.hash}.txt`))];
+    }
+
+    const sarif = writeFindingsSarif(projectRoot, topic, runnerResults);
+    if (sarif) lock.proofs.sarif = sarif;
+
+    const proofFiles = [lock.proofs.report, lock.proofs.sarif, ...(lock.proofs.outputs || [])].filter(Boolean);
+    lock.release.record = recordRelease(projectRoot, lock, proofFiles).hash;
+
+    const key = loadSigningKey();
+    if (key) signLock(lock, key);
+
+    writeFileAtomic(lockPath, serializeLock(lock));
+
+    return { released: true, lockPath, topic };
+  });
+}
 
-  fs.writeFileSync(lockPath, content);
+// A runner's proof and those nested in it: reviewed chunks and reviewers (and their chunks)
+function nestedProofs(proof) {
+  return [proof, ...(proof.chunks || []), ...(proof.reviewers || []).flatMap(nestedProofs)];
+}
 
-  return { released: true, lockPath, topic };
+// Name shared by a lease's proof report and SARIF file: <topic>-<short HEAD>
+function proofStem(topic) {
+  let shortHash = 'new';
+  try {
+    shortHash = execSync('git rev-parse --short HEAD 2>/dev/null', { encoding: 'utf8' }).trim() || 'new';
+  } catch (e) {}
+  return `${topic}-${shortHash}`;
+}
+
+/**
+ * Write LLM findings from a lease's runner results as SARIF 2.1.0 to
+ * .agent-lease/proofs/<topic>-<short HEAD>.sarif. Releases record it in the lock;
+ * failed runs write <topic>-<short HEAD>-failed.sarif, so the findings that
+ * blocked the gate can be opened in an editor without touching released proof.
+ *
+ * @param {object} options - { failed }
+ * @returns {string|null} File name, or null when no runner produced LLM output
+ */
+function writeFindingsSarif(projectRoot, topic, runnerResults, options = {}) {
+  const sarif = buildSarif(runnerResults, { projectRoot });
+  if (!sarif) return null;
+
+  const proofDir = path.join(projectRoot, '.agent-lease', 'proofs');
+  ensureDir(proofDir);
+  const name = `${proofStem(topic)}${options.failed ? '-failed' : ''}.sarif`;
+  fs.writeFileSync(path.join(proofDir, name), JSON.stringify(sarif, null, 2));
+  return name;
 }
 
 function releasePushLock(projectName, lockDir, runnerResults = []) {
@@ -203,123 +813,423 @@ function clearAllLocks(projectName, lockDir, topic = null) {
  * @param {string} agentProofText - Raw proof text from agent
  * @param {object} parsedProof - { runners: [{name, status, output}], summary }
  * @param {string} topic - Topic name (e.g., 'pre-commit', 'pre-push', 'custom')
- * @param {object} options - { projectRoot }
+ * @param {object} options - { projectRoot, guid, force, requireSignature, verification }
+ *   verification - spot-check outcome from spotCheckProof(), recorded in the proof report
  */
 function releaseLockWithAgentProof(projectName, lockDir, agentProofText, parsedProof, topic = 'pre-commit', options = {}) {
   const lockPath = getLockPath(projectName, lockDir, topic);
 
-  if (!fs.existsSync(lockPath)) {
-    return { released: false, reason: 'No lock found', topic };
+  return withLockMutex(lockPath, () => {
+    const claim = claimLockForRelease(lockPath, options);
+    if (!claim.ok) {
+      return { released: false, reason: claim.reason, owner: claim.owner || null, topic };
+    }
+
+    const lock = stampLock(claim.lock, topic, 'agent', claim.forced);
+
+    // Record runner results from agent proof
+    if (parsedProof.runners.length > 0) {
+      lock.runners = parsedProof.runners.map(r => ({
+        name: r.name,
+        status: r.status,
+        passed: r.status === 'PASS'
+      }));
+
+      // Git trailer for proof line: test:PASS haiku-review:PASS
+      const proofParts = parsedProof.runners.map(r => `${r.name}:${r.status}`);
+      lock.trailers.proof = proofParts.join(' ');
+    }
+
+    // Agent summary trailer
+    if (parsedProof.summary) {
+      // Sanitize for single-line trailer: replace newlines, limit length
+      lock.trailers.agentSummary = parsedProof.summary.replace(/[\r\n]+/g, ' ').trim().slice(0, 200);
+    }
+
+    // LLM findings trailer (extract from any runner with llm-like names or findings in output)
+    const llmRunners = parsedProof.runners.filter(r =>
+      r.name.includes('haiku') || r.name.includes('review') || r.name.includes('llm') ||
+      r.name.includes('claude') || r.name.includes('opus')
+    );
+    if (llmRunners.length > 0) {
+      const findings = llmRunners
+        .map(r => r.output)
+        .filter(Boolean)
+        .join('; ')
+        .replace(/[\r\n]+/g, ' ')
+        .trim()
+        .slice(0, 300);
+      if (findings) {
+        lock.trailers.llmFindings = findings;
+      }
+    }
+
+    // Archive agent proof text
+    const projectRoot = options.projectRoot || process.cwd();
+    const proofDir = path.join(projectRoot, '.agent-lease', 'proofs');
+    ensureDir(proofDir);
+
+    // Write raw agent proof
+    const proofHash = crypto.createHash('sha256').update(agentProofText).digest('hex').slice(0, 7);
+    fs.writeFileSync(path.join(proofDir, `${proofHash}-agent.txt`), agentProofText);
+
+    // Write consolidated report
+    let shortHash = 'new';
+    try {
+      shortHash = execSync('git rev-parse --short HEAD 2>/dev/null', { encoding: 'utf8' }).trim();
+    } catch (e) {}
+    const reportName = `${topic}-${shortHash}.json`;
+    fs.writeFileSync(path.join(proofDir, reportName), JSON.stringify({
+      timestamp: new Date().toISOString(),
+      topic,
+      proofMode: options.verification ? 'hybrid' : 'agent',
+      agentProofHash: proofHash,
+      runners: parsedProof.runners.map(r => ({
+        name: r.name,
+        status: r.status,
+        output: r.output || null
+      })),
+      summary: parsedProof.summary,
+      ...(options.verification && {
+        verification: {
+          verify: options.verification.verify,
+          checked: options.verification.checked.map(c => ({
+            name: c.name,
+            claimed: c.claimed,
+            actual: c.actual,
+            duration: c.duration,
+            hash: c.hash
+          })),
+          skipped: options.verification.skipped
+        }
+      })
+    }, null, 2));
+    lock.trailers.report = reportName;
+    lock.proofs.report = reportName;
+    lock.proofs.agent = `${proofHash}-agent.txt`;
+    lock.proofs.hash = proofHash;
+
+    lock.release.record = recordRelease(projectRoot, lock, [reportName, lock.proofs.agent]).hash;
+
+    const key = loadSigningKey();
+    if (key) signLock(lock, key);
+
+    writeFileAtomic(lockPath, serializeLock(lock));
+
+    return { released: true, lockPath, topic, proofHash };
+  });
+}
+
+function getAuditDir(projectRoot) {
+  return path.join(projectRoot, '.agent-lease', 'audit');
+}
+
+/**
+ * Append-only log of every consumed lease: .agent-lease/audit/log.jsonl
+ */
+function getAuditLogPath(projectRoot) {
+  return path.join(getAuditDir(projectRoot), 'log.jsonl');
+}
+
+function readAuditLines(projectRoot) {
+  const logPath = getAuditLogPath(projectRoot);
+  if (!fs.existsSync(logPath)) return [];
+  return fs.readFileSync(logPath, 'utf8').split('\n').filter(line => line.trim());
+}
+
+/**
+ * Read all audit log entries (oldest first)
+ * @param {string} projectRoot
+ * @returns {object[]}
+ */
+function readAuditLog(projectRoot) {
+  return readAuditLines(projectRoot).map(line => JSON.parse(line));
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Hash of an audit entry: sha256 of its JSON without the `hash` field.
+ * `prev` is part of the hashed body, which is what links the chain.
+ */
+function hashAuditEntry(entry) {
+  const { hash, ...body } = entry;
+  return sha256(JSON.stringify(body));
+}
+
+/**
+ * Append an entry to the audit log, chained to the entry before it.
+ * @returns {object} The entry as written, with `prev` and `hash`
+ */
+function appendAuditEntry(projectRoot, entry) {
+  const logPath = getAuditLogPath(projectRoot);
+  ensureDir(path.dirname(logPath));
+
+  return withLockMutex(logPath, () => {
+    const lines = readAuditLines(projectRoot);
+    let prev = AUDIT_GENESIS;
+    if (lines.length > 0) {
+      const last = lines[lines.length - 1];
+      try {
+        prev = JSON.parse(last).hash || sha256(last);
+      } catch (e) {
+        prev = sha256(last);
+      }
+    }
+
+    const chained = { ...entry, prev };
+    chained.hash = hashAuditEntry(chained);
+    fs.appendFileSync(logPath, JSON.stringify(chained) + '\n');
+    return chained;
+  });
+}
+
+/**
+ * Record a release in the audit chain, with content hashes of the
+ * proof files it wrote so later edits to .agent-lease/proofs/ show up.
+ */
+function recordRelease(projectRoot, lock, proofFiles) {
+  const proofDir = path.join(projectRoot, '.agent-lease', 'proofs');
+  const files = {};
+  for (const name of proofFiles) {
+    try {
+      files[name] = sha256(fs.readFileSync(path.join(proofDir, name)));
+    } catch (e) {}
   }
 
-  let content = fs.readFileSync(lockPath, 'utf8');
-  content += `AUDIT_PROOF_PASSED=${new Date().toISOString()}\n`;
-  content += `STATUS=VALIDATED\n`;
-  content += `PROOF_MODE=agent\n`;
+  return appendAuditEntry(projectRoot, {
+    event: 'release',
+    timestamp: lock.release.at,
+    topic: lock.topic,
+    guid: lock.guid,
+    mode: lock.release.mode,
+    by: lock.release.by,
+    forced: lock.release.forced,
+    binding: lock.binding,
+    proofHash: lock.proofs.hash || null,
+    runners: lock.runners.map(r => ({ name: r.name, status: r.status })),
+    files
+  });
+}
 
-  // Append runner results from agent proof
-  if (parsedProof.runners.length > 0) {
-    content += `RUNNERS_COUNT=${parsedProof.runners.length}\n`;
-    parsedProof.runners.forEach((r, i) => {
-      content += `RUNNER_${i}_NAME=${r.name}\n`;
-      content += `RUNNER_${i}_PASSED=${r.status === 'PASS'}\n`;
-    });
+/**
+ * Walk the audit chain and report the first broken link.
+ *
+ * Checks, in order:
+ *   1. every entry parses, links to the previous entry's hash and hashes to its own `hash`
+ *   2. proof files and archived locks still match the hashes recorded for them
+ *      (a proof file is checked against the latest release that wrote it)
+ *   3. every VALIDATED lock in lockDir points at a release record for that lock
+ *
+ * @param {string} projectRoot
+ * @param {object} options - { projectName, lockDir } to also check live locks
+ * @returns {object} { ok, entries, broken: null | { line, file, reason } }
+ */
+function verifyAuditLog(projectRoot, options = {}) {
+  const lines = readAuditLines(projectRoot);
+  const entries = [];
+  const result = (broken) => ({ ok: !broken, entries: entries.length, broken: broken || null });
 
-    // Generate git trailer for proof line: test:PASS haiku-review:PASS
-    const proofParts = parsedProof.runners.map(r => `${r.name}:${r.status}`);
-    content += `GIT_TRAILER_PROOF=${proofParts.join(' ')}\n`;
-  }
-
-  // Agent summary trailer
-  if (parsedProof.summary) {
-    // Sanitize for single-line trailer: replace newlines, limit length
-    const sanitized = parsedProof.summary.replace(/[\r\n]+/g, ' ').trim().slice(0, 200);
-    content += `GIT_TRAILER_AGENT_SUMMARY=${sanitized}\n`;
-  }
-
-  // LLM findings trailer (extract from any runner with llm-like names or findings in output)
-  const llmRunners = parsedProof.runners.filter(r =>
-    r.name.includes('haiku') || r.name.includes('review') || r.name.includes('llm') ||
-    r.name.includes('claude') || r.name.includes('opus')
-  );
-  if (llmRunners.length > 0) {
-    const findings = llmRunners
-      .map(r => r.output)
-      .filter(Boolean)
-      .join('; ')
-      .replace(/[\r\n]+/g, ' ')
-      .trim()
-      .slice(0, 300);
-    if (findings) {
-      content += `GIT_TRAILER_LLM_FINDINGS=${findings}\n`;
+  let prev = AUDIT_GENESIS;
+  for (let i = 0; i < lines.length; i++) {
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch (e) {
+      return result({ line: i + 1, reason: 'entry is not valid JSON' });
+    }
+    if (entry.prev !== prev) {
+      return result({ line: i + 1, reason: i === 0 ? 'first entry does not start the chain' : `prev does not match hash of line ${i}` });
+    }
+    if (hashAuditEntry(entry) !== entry.hash) {
+      return result({ line: i + 1, reason: 'entry was modified after it was written' });
     }
+    entries.push(entry);
+    prev = entry.hash;
   }
 
-  // Archive agent proof text
-  const projectRoot = options.projectRoot || process.cwd();
+  // Proof files may be rewritten by a later release under the same name
+  const latestWriter = {};
+  entries.forEach((entry, i) => {
+    if (entry.event === 'release') {
+      Object.keys(entry.files || {}).forEach(name => { latestWriter[name] = i; });
+    }
+  });
+
   const proofDir = path.join(projectRoot, '.agent-lease', 'proofs');
-  ensureDir(proofDir);
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry.event === 'release') {
+      for (const [name, hash] of Object.entries(entry.files || {})) {
+        if (latestWriter[name] !== i) continue;
+        const filePath = path.join(proofDir, name);
+        if (!fs.existsSync(filePath)) {
+          return result({ line: i + 1, file: name, reason: `proof file ${name} is missing` });
+        }
+        if (sha256(fs.readFileSync(filePath)) !== hash) {
+          return result({ line: i + 1, file: name, reason: `proof file ${name} was modified` });
+        }
+      }
+    } else if (entry.event === 'archive' && entry.archive && entry.lockHash) {
+      const filePath = path.join(getAuditDir(projectRoot), entry.archive);
+      if (!fs.existsSync(filePath)) {
+        return result({ line: i + 1, file: entry.archive, reason: `archived lock ${entry.archive} is missing` });
+      }
+      if (sha256(fs.readFileSync(filePath)) !== entry.lockHash) {
+        return result({ line: i + 1, file: entry.archive, reason: `archived lock ${entry.archive} was modified` });
+      }
+    }
+  }
 
-  // Write raw agent proof
-  const proofHash = require('crypto').createHash('sha256').update(agentProofText).digest('hex').slice(0, 7);
-  fs.writeFileSync(path.join(proofDir, `${proofHash}-agent.txt`), agentProofText);
+  // A lock flipped to VALIDATED by hand has no matching release record
+  if (options.projectName && options.lockDir) {
+    const releases = {};
+    entries.filter(e => e.event === 'release').forEach(e => { releases[e.hash] = e; });
 
-  // Write consolidated report
-  let shortHash = 'new';
-  try {
-    shortHash = execSync('git rev-parse --short HEAD 2>/dev/null', { encoding: 'utf8' }).trim();
-  } catch (e) {}
-  const reportName = `${topic}-${shortHash}.json`;
-  fs.writeFileSync(path.join(proofDir, reportName), JSON.stringify({
-    timestamp: new Date().toISOString(),
-    topic,
-    proofMode: 'agent',
-    agentProofHash: proofHash,
-    runners: parsedProof.runners.map(r => ({
-      name: r.name,
-      status: r.status,
-      output: r.output || null
-    })),
-    summary: parsedProof.summary
-  }, null, 2));
-  content += `GIT_TRAILER_REPORT=${reportName}\n`;
+    for (const lockPath of getAllLocks(options.projectName, options.lockDir)) {
+      let lock = null;
+      try { lock = readLock(lockPath); } catch (e) {}
+      if (!lock || lock.status !== 'VALIDATED') continue;
 
-  fs.writeFileSync(lockPath, content);
+      const record = lock.release && releases[lock.release.record];
+      const name = path.basename(lockPath);
+      if (!record) {
+        return result({ file: name, reason: `validated lock ${name} has no release record in the audit log` });
+      }
+      if (record.guid !== lock.guid || JSON.stringify(record.binding) !== JSON.stringify(lock.binding)) {
+        return result({ file: name, reason: `validated lock ${name} does not match its release record` });
+      }
+    }
+  }
 
-  return { released: true, lockPath, topic, proofHash };
+  return result(null);
 }
 
 /**
- * Archive lock to audit trail after successful commit/push
+ * Find released leases for a topic whose recorded binding matches,
+ * e.g. the leases whose staged tree is the tree of the commit just made.
+ * Lock paths are keyed on the HEAD at gate time, so after a commit the
+ * consumed lease can't be found by getLockPath() anymore.
+ *
+ * @param {string} key - Binding key ('tree' | 'range')
+ * @param {string} value - Binding value to match
+ * @returns {string[]} Lock paths
  */
-function archiveLock(projectName, lockDir, projectRoot, topic = 'pre-commit') {
-  const lockPath = getLockPath(projectName, lockDir, topic);
+function findLeasesByBinding(projectName, lockDir, topic, key, value) {
+  if (!value) return [];
+  return getAllLocks(projectName, lockDir, topic).filter(lockPath => {
+    try {
+      const lock = readLock(lockPath);
+      return lock && lock.topic === topic && lock.status === 'VALIDATED' && lock.binding[key] === value;
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+// Move a lock into the audit dir as <stem>.lock, or <stem>-<n>.lock when another
+// archive (same topic, same millisecond) has that name: archives are never replaced
+function moveToArchive(lockPath, auditDir, stem) {
+  for (let n = 0; ; n++) {
+    const archivePath = path.join(auditDir, `${stem}${n > 0 ? `-${n}` : ''}.lock`);
+    try {
+      fs.linkSync(lockPath, archivePath);
+    } catch (e) {
+      if (e.code === 'EEXIST') continue;
+      // Lock dir on another filesystem (XDG, /tmp), or no hard links
+      try {
+        fs.copyFileSync(lockPath, archivePath, fs.constants.COPYFILE_EXCL);
+      } catch (e2) {
+        if (e2.code === 'EEXIST') continue;
+        throw e2;
+      }
+    }
+    fs.unlinkSync(lockPath);
+    return archivePath;
+  }
+}
+
+/**
+ * Archive lock to audit trail after successful commit/push.
+ * Moves the lock into .agent-lease/audit/ and appends an entry to log.jsonl.
+ *
+ * @param {object} options - { lockPath, commit } lockPath defaults to the current HEAD's lock;
+ *                           commit is the SHA that consumed the lease
+ */
+function archiveLock(projectName, lockDir, projectRoot, topic = 'pre-commit', options = {}) {
+  const lockPath = options.lockPath || getLockPath(projectName, lockDir, topic);
   if (!fs.existsSync(lockPath)) return { archived: false, topic };
 
-  const auditDir = path.join(projectRoot, '.agent-lease', 'audit');
-  ensureDir(auditDir);
+  return withLockMutex(lockPath, () => {
+    // Another process may have archived it while we waited
+    if (!fs.existsSync(lockPath)) return { archived: false, topic };
 
-  const timestamp = Date.now();
-  const topicPrefix = topic !== 'pre-commit' ? `${topic}-` : '';
-  const archivePath = path.join(auditDir, `${topicPrefix}${timestamp}.lock`);
+    const auditDir = getAuditDir(projectRoot);
+    ensureDir(auditDir);
 
-  fs.copyFileSync(lockPath, archivePath);
-  fs.unlinkSync(lockPath);
+    const lock = readLock(lockPath) || newLock({ topic });
+    const timestamp = Date.now();
+    const topicPrefix = topic !== 'pre-commit' ? `${topic}-` : '';
+    const archivePath = moveToArchive(lockPath, auditDir, `${topicPrefix}${timestamp}`);
 
-  return { archived: true, archivePath, topic };
+    const entry = appendAuditEntry(projectRoot, {
+      event: 'archive',
+      timestamp: new Date(timestamp).toISOString(),
+      topic,
+      commit: options.commit || null,
+      guid: lock.guid,
+      mode: lock.release ? lock.release.mode : null,
+      releasedAt: lock.release ? lock.release.at : null,
+      releasedBy: lock.release ? lock.release.by : null,
+      forced: lock.release ? lock.release.forced : false,
+      binding: lock.binding,
+      proofHash: lock.proofs.hash || null,
+      report: lock.proofs.report || null,
+      agentSummary: lock.trailers.agentSummary || null,
+      runners: lock.runners.map(r => ({ name: r.name, status: r.status })),
+      release: lock.release ? lock.release.record || null : null,
+      archive: path.basename(archivePath),
+      lockHash: sha256(fs.readFileSync(archivePath))
+    });
+
+    return { archived: true, archivePath, topic, entry };
+  });
 }
 
 module.exports = {
   ensureDir,
+  getLockOwner,
+  isLockOwner,
+  withLockMutex,
   getLockPath,
   getAllLocks,
+  getStagedTree,
+  getHeadCommit,
+  getHeadTree,
+  getPushRange,
+  getPushedRefs,
+  getLeaseBinding,
+  parseLock,
+  serializeLock,
+  getSigningKeyPath,
+  signLock,
+  verifyLockSignature,
+  formatTrailers,
+  checkProofNonce,
   createLock,
   checkLock,
   checkPushLock,
   releaseLock,
   releaseLockWithAgentProof,
   releasePushLock,
+  writeFindingsSarif,
   clearLock,
   clearAllLocks,
-  archiveLock
+  findLeasesByBinding,
+  archiveLock,
+  getAuditLogPath,
+  readAuditLog,
+  verifyAuditLog
 };
@@ -1,7 +1,11 @@
 #!/usr/bin/env node
-const { execSync, spawnSync } = require('child_process');
+const { execFileSync, execSync, spawn, spawnSync } = require('child_process');
 const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { completePrompt } = require('./llm');
+const { estimateUsage, priceUsage, sumUsage, formatCost } = require('./cost');
 
 /**
  * LLM Steering Markers
@@ -30,6 +34,9 @@ const LLM_END = '<AGENT_LEASE_END>';
  *   claude -p "Review this diff: {{diff}}"
  *   codex -q "Check for issues: {{diff}}"
  *   ollama run llama3 "Review: {{diff}}"
+ *
+ * Or natively, with `"type": "llm"`: the prompt goes to a provider API (lib/llm.js)
+ * with the steering block appended, and the reply is parsed like CLI output.
  */
 
 function getGitContext() {
@@ -38,10 +45,13 @@ function getGitContext() {
     diffPush: '',
     files: '',
     filesPush: '',
+    fileList: [],
+    fileListPush: [],
     branch: '',
     hash: 'new',
     topic: '',
-    args: ''
+    args: '',
+    argList: []
   };
 
   try {
@@ -57,14 +67,17 @@ function getGitContext() {
   }
 
   try {
-    ctx.files = execSync('git diff --cached --name-only', { encoding: 'utf8' }).trim().split('\n').filter(f => f).join(' ');
+    ctx.fileList = execSync('git diff --cached --name-only', { encoding: 'utf8' }).trim().split('\n').filter(f => f);
+    ctx.files = ctx.fileList.join(' ');
   } catch (e) {}
 
   try {
-    ctx.filesPush = execSync('git diff origin/main...HEAD --name-only', { encoding: 'utf8' }).trim().split('\n').filter(f => f).join(' ');
+    ctx.fileListPush = execSync('git diff origin/main...HEAD --name-only', { encoding: 'utf8' }).trim().split('\n').filter(f => f);
+    ctx.filesPush = ctx.fileListPush.join(' ');
   } catch (e) {
     try {
-      ctx.filesPush = execSync('git diff origin/master...HEAD --name-only', { encoding: 'utf8' }).trim().split('\n').filter(f => f).join(' ');
+      ctx.fileListPush = execSync('git diff origin/master...HEAD --name-only', { encoding: 'utf8' }).trim().split('\n').filter(f => f);
+      ctx.filesPush = ctx.fileListPush.join(' ');
     } catch (e2) {}
   }
 
@@ -83,37 +96,370 @@ function getGitContext() {
  * Get context for a specific topic with args
  * @param {string} topic - Topic name (e.g., 'pre-commit', 'pre-push', 'custom')
  * @param {string[]} args - Additional arguments
- * @returns {object} Context with topic and args populated
+ * @param {string|null} nonce - Challenge nonce of the lock being released
+ * @returns {object} Context with topic, args and nonce populated
  */
-function getContextForTopic(topic, args = []) {
+function getContextForTopic(topic, args = [], nonce = null) {
   const base = getGitContext();
   base.topic = topic;
   base.args = args.join(' ');
+  base.argList = args;
+  base.nonce = nonce;
   return base;
 }
 
 /**
- * Expand template variables in command string
- * Supports: {{diff}}, {{files}}, {{project}}, {{branch}}, {{hash}}, {{topic}}, {{args}}, {{env:VAR}}
+ * Match a path against a glob: `*` and `?` stay within a path segment, `**` crosses
+ * segments. Globs without a `/` match the file name in any directory.
+ *
+ * @param {string} file - Repo-relative path
+ * @param {string} glob
+ * @returns {boolean}
+ */
+function matchGlob(file, glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      // '**/' matches zero or more directories; any other '**' matches anything
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  const target = glob.includes('/') ? file : path.posix.basename(file);
+  return new RegExp(`^${source}$`).test(target);
+}
+
+/**
+ * Changed files a runner applies to: those matching its `files` globs (all
+ * changed files if it has none) and none of its `ignore` globs.
+ *
+ * @returns {string[]|null} Matching paths, or null for runners without a file filter
+ */
+function matchRunnerFiles(runner, context, phase = 'commit') {
+  const files = runner.files || [];
+  const ignore = runner.ignore || [];
+  if (files.length === 0 && ignore.length === 0) return null;
+
+  const changed = phase === 'push' ? (context.fileListPush || context.fileList || []) : (context.fileList || []);
+  return changed.filter(file =>
+    (files.length === 0 || files.some(glob => matchGlob(file, glob))) &&
+    !ignore.some(glob => matchGlob(file, glob))
+  );
+}
+
+/**
+ * Template variable values for a gate, keyed by name ({{diff}} → vars.diff)
  */
-function expandCommand(command, context, projectName, phase = 'commit') {
-  const diff = phase === 'push' ? context.diffPush : context.diff;
+function getTemplateVars(context, projectName, phase = 'commit') {
   const files = phase === 'push' ? (context.filesPush || context.files) : context.files;
+  const vars = {
+    diff: phase === 'push' ? context.diffPush : context.diff,
+    files,
+    matchedFiles: context.matchedFiles !== undefined ? context.matchedFiles : files,
+    project: projectName,
+    branch: context.branch,
+    hash: context.hash,
+    topic: context.topic,
+    args: context.args,
+    nonce: context.nonce
+  };
+  for (const name of Object.keys(vars)) vars[name] = vars[name] == null ? '' : String(vars[name]);
+  return vars;
+}
+
+/**
+ * Entries of the list template variables ({{files}}, {{matchedFiles}}, {{args}}),
+ * whose values are the entries joined with spaces
+ */
+function getTemplateLists(context, phase = 'commit') {
+  const files = (phase === 'push' && context.filesPush ? context.fileListPush : context.fileList) || [];
+  return {
+    files,
+    matchedFiles: context.matchedFileList || files,
+    args: context.argList || []
+  };
+}
+
+// {{name}}, {{name_file}} or {{env:VAR}} in a command, prompt or template
+const TEMPLATE_PLACEHOLDER = /\{\{(env:[^}]+|\w+)\}\}/g;
+
+/**
+ * Env var a template variable is exported as: matchedFiles → AGENT_LEASE_MATCHED_FILES
+ */
+function templateVarEnvName(name) {
+  return `AGENT_LEASE_${name.replace(/[A-Z]/g, c => `_${c}`).toUpperCase()}`;
+}
+
+/**
+ * Expand template variables in command string
+ * Supports: {{diff}}, {{files}}, {{matchedFiles}}, {{project}}, {{branch}}, {{hash}}, {{topic}}, {{args}}, {{nonce}}, {{env:VAR}},
+ * and {{<name>_file}} (path of a file holding the variable) once `varFiles` are written.
+ * Expansion is a single pass, so placeholders inside a diff are never expanded themselves.
+ *
+ * With `shell` (commands run with `bash -c`), no value reaches the shell parser.
+ * A variable becomes a reference to its export, $AGENT_LEASE_<NAME> (read from
+ * its file when too large to export), written for the quotes it sits in:
+ * "$AGENT_LEASE_DIFF" bare, $AGENT_LEASE_DIFF inside "...", and '"$AGENT_LEASE_DIFF"'
+ * (leaving and re-entering them) inside '...'. A bare list variable becomes one
+ * word per entry; {{env:VAR}} and file paths are escaped for their quotes.
+ */
+function expandCommand(command, context, projectName, phase = 'commit', varFiles = null, shell = false) {
+  const vars = getTemplateVars(context, projectName, phase);
+  const lists = getTemplateLists(context, phase);
+  const has = (object, name) => Object.prototype.hasOwnProperty.call(object, name);
+
+  // quote: null outside quotes, else the quote character the placeholder sits in
+  const literal = (value, quote) => {
+    if (!shell) return value;
+    if (quote === "'") return value.replace(/'/g, "'\\''");
+    if (quote === '"') return value.replace(/[\\"$`]/g, '\\$&');
+    return shellEscape(value);
+  };
+  const reference = (name, quote) => {
+    const envName = templateVarEnvName(name);
+    const ref = Buffer.byteLength(vars[name]) <= MAX_ENV_VAR_BYTES ? `$${envName}` : `$(cat "$${envName}_FILE")`;
+    if (quote === "'") return `'"${ref}"'`;
+    if (quote === '"') return ref;
+    return `"${ref}"`;
+  };
+  const expand = (match, name, quote) => {
+    if (name.startsWith('env:')) return literal(process.env[name.slice(4)] || '', quote);
+    if (has(vars, name)) {
+      if (!shell) return vars[name];
+      if (has(lists, name) && quote === null) return lists[name].map(shellEscape).join(' ');
+      return reference(name, quote);
+    }
+    const fileVar = name.endsWith('_file') && name.slice(0, -5);
+    if (varFiles && fileVar && has(varFiles, fileVar)) return literal(varFiles[fileVar], quote);
+    return match;
+  };
+
+  if (!shell) return command.replace(TEMPLATE_PLACEHOLDER, (match, name) => expand(match, name, null));
+
+  // Walk the command to know which quotes each placeholder sits in
+  const placeholder = new RegExp(TEMPLATE_PLACEHOLDER.source, 'y');
+  let quote = null;
+  let out = '';
+  for (let i = 0; i < command.length;) {
+    placeholder.lastIndex = i;
+    const found = placeholder.exec(command);
+    if (found) {
+      out += expand(found[0], found[1], quote);
+      i = placeholder.lastIndex;
+      continue;
+    }
+    const c = command[i];
+    if (c === '\\' && quote !== "'") {
+      out += command.slice(i, i + 2);
+      i += 2;
+      continue;
+    }
+    if ((c === "'" || c === '"') && (quote === null || quote === c)) quote = quote ? null : c;
+    out += c;
+    i++;
+  }
+  return out;
+}
+
+/**
+ * Output format appended to every `type: "llm"` runner prompt, per its `format`
+ */
+const LLM_STEERING_JSON = [
+  'Reply with your review as one JSON object between the markers, and nothing else between them:',
+  LLM_START,
+  '{"verdict": "PASS or FAIL", "findings": [{"severity": "critical|high|medium|low", "message": "<what is wrong>", ' +
+    '"file": "<path>", "line": <number>, "rule": "<short rule id>"}], "summary": "<one line>"}',
+  LLM_END,
+  '"file", "line" and "rule" are optional. Use an empty findings array when there is nothing to report.'
+].join('\n');
+
+const LLM_STEERING = [
+  'Reply with your review in exactly this format, between the markers:',
+  LLM_START,
+  'VERDICT: PASS or FAIL',
+  'CRITICAL: <count>',
+  'HIGH: <count>',
+  'MEDIUM: <count>',
+  'LOW: <count>',
+  'FINDINGS:',
+  '- <one finding per line>',
+  'SUMMARY: <one line>',
+  LLM_END
+].join('\n');
+
+/**
+ * Full prompt for a `type: "llm"` runner: its `prompt` (or `promptFile`) with
+ * template variables expanded, the diff appended unless the prompt places
+ * {{diff}} itself, then `steeringPrompt` and the steering block.
+ * Throws when `promptFile` can't be read.
+ */
+function buildLLMPrompt(runner, context, projectName, phase = 'commit') {
+  const template = runner.promptFile
+    ? fs.readFileSync(path.resolve(runner.promptFile), 'utf8')
+    : runner.prompt || 'Review this change for bugs, security issues and regressions.';
+
+  const parts = [expandCommand(template, context, projectName, phase)];
+  if (!template.includes('{{diff}}')) {
+    parts.push(`Diff:\n${getTemplateVars(context, projectName, phase).diff}`);
+  }
+  if (runner.steeringPrompt) parts.push(runner.steeringPrompt);
+  parts.push(runner.format === 'json' ? LLM_STEERING_JSON : LLM_STEERING);
+  return parts.join('\n\n');
+}
 
-  return command
-    .replace(/\{\{diff\}\}/g, diff)
-    .replace(/\{\{files\}\}/g, files)
-    .replace(/\{\{project\}\}/g, projectName)
-    .replace(/\{\{branch\}\}/g, context.branch)
-    .replace(/\{\{hash\}\}/g, context.hash)
-    .replace(/\{\{topic\}\}/g, context.topic || '')
-    .replace(/\{\{args\}\}/g, context.args || '')
-    .replace(/\{\{env:([^}]+)\}\}/g, (_, varName) => process.env[varName] || '');
+/**
+ * Backslash-escape a value as one shell word. Exact outside quotes; inside
+ * quotes it leaves stray backslashes but still runs nothing.
+ */
+function shellEscape(value) {
+  if (value === '') return "''";
+  return value.replace(/[^\w@%+=:,./-]/g, c => (c === '\n' ? "$'\\n'" : `\\${c}`));
+}
+
+/**
+ * Quote an argument for display as part of a shell command line
+ */
+function quoteArg(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, "'\\''")}'`;
+}
+
+// JSON reply format, published as schema/verdict.schema.json
+const VERDICT_SCHEMA = require('../schema/verdict.schema.json');
+
+// Severity levels of LLM findings, worst first
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+/**
+ * Check a value against the subset of JSON Schema the verdict schema uses
+ * (type, enum, required, properties, items, minimum)
+ *
+ * @returns {string[]} One message per violation, e.g. "findings[0].severity must be one of ..."
+ */
+function validateSchema(value, schema, at = 'reply') {
+  const typeOf = v => Array.isArray(v) ? 'array' : v === null ? 'null' : Number.isInteger(v) ? 'integer' : typeof v;
+  const actual = typeOf(value);
+  if (schema.type && actual !== schema.type && !(schema.type === 'number' && actual === 'integer')) {
+    return [`${at} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at} must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`];
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return [`${at} must be at least ${schema.minimum}`];
+  }
+
+  const errors = [];
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], property, `${at}.${key}`));
+    }
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+  }
+  return errors;
+}
+
+/**
+ * Display line for a JSON finding: "[high] src/db.js:42 SQL built from input (sql-injection)"
+ */
+function formatIssue(issue) {
+  const where = issue.file ? ` ${issue.file}${issue.line ? `:${issue.line}` : ''}` : '';
+  return `[${issue.severity}]${where} ${issue.message}${issue.rule ? ` (${issue.rule})` : ''}`;
+}
+
+// path:line reference in a free-text finding: "src/db.js:42", "(lib/a.ts:7:3)"
+const FINDING_LOCATION = /(?:^|[\s(\[`'"])(?:\.\/)?((?:[\w.@+-]+\/)*[\w@+-][\w.@+-]*\.\w+):(\d+)\b/;
+
+// Severity tag leading a free-text finding: "[high] ...", "HIGH: ...", "critical - ..."
+const FINDING_SEVERITY = /^\[?(critical|high|medium|low)\]?\s*[:-]?\s+/i;
+
+/**
+ * Structured form of a free-text finding bullet, with the location and
+ * severity it mentions (null when it mentions none)
+ */
+function parseFindingText(text) {
+  const severity = text.match(FINDING_SEVERITY);
+  const location = text.match(FINDING_LOCATION);
+  return {
+    severity: severity ? severity[1].toLowerCase() : null,
+    message: severity ? text.slice(severity[0].length) : text,
+    file: location ? location[1] : null,
+    line: location ? parseInt(location[2], 10) : null,
+    rule: null
+  };
+}
+
+/**
+ * Lines each file's diff shows on the new side (hunk ranges, context included)
+ *
+ * @returns {Map<string, Array<[number, number]>>} file → [first, last] line ranges
+ */
+function diffLineRanges(diff) {
+  const ranges = new Map();
+  let file = null;
+  for (const line of (diff || '').split('\n')) {
+    if (line.startsWith('+++ ')) {
+      const target = line.slice(4).trim();
+      file = target === '/dev/null' ? null : target.replace(/^b\//, '');
+      if (file && !ranges.has(file)) ranges.set(file, []);
+      continue;
+    }
+    const hunk = file && line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+    if (hunk) {
+      const start = parseInt(hunk[1], 10);
+      const count = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+      if (count > 0) ranges.get(file).push([start, start + count - 1]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Check where each finding points against the diff under review:
+ *   anchor 'diff'          - the line is inside a hunk of the diff
+ *   anchor 'file'          - the file is in the diff, no line given
+ *   anchor 'outside-diff'  - the file is in the diff but that line isn't
+ *   anchor 'not-in-diff'   - the file isn't part of the change
+ *   anchor null            - the finding names no file
+ * The last two are `suspect`: likely hallucinated by the model.
+ */
+function anchorIssues(issues, diff) {
+  const ranges = diffLineRanges(diff);
+  return issues.map(issue => {
+    let anchor = null;
+    if (issue.file) {
+      const fileRanges = ranges.get(issue.file);
+      if (!fileRanges) anchor = 'not-in-diff';
+      else if (!issue.line) anchor = 'file';
+      else anchor = fileRanges.some(([first, last]) => issue.line >= first && issue.line <= last) ? 'diff' : 'outside-diff';
+    }
+    return { ...issue, anchor, suspect: anchor === 'not-in-diff' || anchor === 'outside-diff' };
+  });
 }
 
 /**
  * Parse LLM runner output that uses steering markers.
- * Expected format between markers:
+ * Between the markers, either a JSON object matching schema/verdict.schema.json:
+ *   { "verdict": "PASS" | "FAIL",
+ *     "findings": [{ "severity": "critical|high|medium|low", "message", "file", "line", "rule" }],
+ *     "summary": "<one line>" }
+ * (severity counts are tallied from the findings), or lines:
  *   VERDICT: PASS | FAIL
  *   CRITICAL: <count>
  *   HIGH: <count>
@@ -124,8 +470,14 @@ function expandCommand(command, context, projectName, phase = 'commit') {
  *   - <finding 2>
  *   SUMMARY: <one line>
  *
+ * A reply that can't be trusted - no markers, invalid JSON, a schema violation,
+ * a missing or unknown verdict, a count that isn't a number - comes back with
+ * `error` set and a null verdict.
+ *
  * @param {string} output - Raw output from LLM runner
- * @returns {object} { verdict, critical, high, medium, low, findings, summary, raw }
+ * @returns {object} { verdict, critical, high, medium, low, findings, summary, raw, format, issues, error }
+ *   format: 'json' | 'text'; issues: one structured entry per finding ({ severity, message, file, line, rule }),
+ *   with `path:line` and severity tags picked out of text findings
  */
 function parseLLMOutput(output) {
   const result = {
@@ -136,7 +488,10 @@ function parseLLMOutput(output) {
     low: 0,
     findings: [],
     summary: '',
-    raw: output
+    raw: output,
+    format: 'text',
+    issues: [],
+    error: null
   };
 
   // Extract content between markers
@@ -146,11 +501,52 @@ function parseLLMOutput(output) {
   if (startIdx === -1 || endIdx === -1 || endIdx <= startIdx) {
     // No markers found - treat entire output as unstructured
     result.summary = output.trim().split('\n')[0] || '';
+    result.error = `no ${LLM_START}...${LLM_END} block in reply`;
     return result;
   }
 
   const structured = output.slice(startIdx + LLM_START.length, endIdx).trim();
+
+  // JSON replies, optionally fenced as ```json
+  const body = structured.replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, '');
+  if (body.startsWith('{')) {
+    result.format = 'json';
+    let reply;
+    try {
+      reply = JSON.parse(body);
+    } catch (e) {
+      result.error = `reply is not valid JSON: ${e.message}`;
+      return result;
+    }
+    const errors = validateSchema(reply, VERDICT_SCHEMA);
+    if (errors.length > 0) {
+      result.error = `reply does not match the verdict schema: ${errors.join('; ')}`;
+      return result;
+    }
+
+    result.verdict = reply.verdict;
+    result.summary = reply.summary;
+    result.issues = reply.findings.map(f => ({
+      severity: f.severity,
+      message: f.message,
+      file: f.file || null,
+      line: f.line || null,
+      rule: f.rule || null
+    }));
+    for (const issue of result.issues) result[issue.severity]++;
+    result.findings = result.issues.map(formatIssue);
+    return result;
+  }
+
   let inFindings = false;
+  const count = (line, label) => {
+    const value = line.slice(label.length + 1).trim();
+    if (!/^\d+$/.test(value)) {
+      result.error = result.error || `${label} must be a number, got ${JSON.stringify(value)}`;
+      return 0;
+    }
+    return parseInt(value, 10);
+  };
 
   for (const line of structured.split('\n')) {
     const trimmed = line.trim();
@@ -159,16 +555,16 @@ function parseLLMOutput(output) {
       result.verdict = trimmed.replace('VERDICT:', '').trim().toUpperCase();
       inFindings = false;
     } else if (trimmed.startsWith('CRITICAL:')) {
-      result.critical = parseInt(trimmed.replace('CRITICAL:', '').trim(), 10) || 0;
+      result.critical = count(trimmed, 'CRITICAL');
       inFindings = false;
     } else if (trimmed.startsWith('HIGH:')) {
-      result.high = parseInt(trimmed.replace('HIGH:', '').trim(), 10) || 0;
+      result.high = count(trimmed, 'HIGH');
       inFindings = false;
     } else if (trimmed.startsWith('MEDIUM:')) {
-      result.medium = parseInt(trimmed.replace('MEDIUM:', '').trim(), 10) || 0;
+      result.medium = count(trimmed, 'MEDIUM');
       inFindings = false;
     } else if (trimmed.startsWith('LOW:')) {
-      result.low = parseInt(trimmed.replace('LOW:', '').trim(), 10) || 0;
+      result.low = count(trimmed, 'LOW');
       inFindings = false;
     } else if (trimmed.startsWith('FINDINGS:')) {
       inFindings = true;
@@ -180,107 +576,1215 @@ function parseLLMOutput(output) {
     }
   }
 
+  result.issues = result.findings.map(parseFindingText);
+
+  if (!result.verdict) {
+    result.error = 'no VERDICT line in reply';
+  } else if (!['PASS', 'FAIL'].includes(result.verdict)) {
+    result.error = `VERDICT must be PASS or FAIL, got ${JSON.stringify(result.verdict)}`;
+  }
+  if (result.error) result.verdict = null;
+
   return result;
 }
 
+// Diff tokens an LLM runner reviews per call, unless the runner sets `chunkTokens`
+const DEFAULT_CHUNK_TOKENS = 50000;
+
+// Rough token estimate for diff text
+const CHARS_PER_TOKEN = 4;
+
 /**
- * Execute a single runner
- *
- * Returns: { name, command, passed, output, error, duration }
+ * Split text into pieces of at most maxChars, at line breaks where possible
  */
-function executeRunner(runner, context, projectName, phase = 'commit') {
-  const start = Date.now();
-  const expandedCommand = expandCommand(runner.command, context, projectName, phase);
+function splitLines(text, maxChars) {
+  const pieces = [];
+  let current = '';
+  for (const line of text.match(/[^\n]*\n|[^\n]+$/g) || []) {
+    if (current && current.length + line.length > maxChars) {
+      pieces.push(current);
+      current = '';
+    }
+    for (let i = 0; i < line.length; i += maxChars) {
+      const part = line.slice(i, i + maxChars);
+      if (current.length + part.length > maxChars) {
+        pieces.push(current);
+        current = '';
+      }
+      current += part;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
 
-  // Merge env vars
-  const env = { ...process.env, ...runner.env };
+/**
+ * Split a diff into chunks of at most maxChars for separate LLM reviews.
+ * Files stay whole when they fit; larger files split at hunks (each piece keeps
+ * the file header), and hunks larger than a chunk split at lines. Small files
+ * are packed together.
+ *
+ * @returns {{ diff: string, files: string[] }[]}
+ */
+function splitDiff(diff, maxChars) {
+  const pieces = [];
+  for (const section of diff.split(/^(?=diff --git )/m).filter(s => s.trim())) {
+    const text = section.endsWith('\n') ? section : `${section}\n`;
+    const named = text.match(/^diff --git a\/.* b\/(.*)$/m);
+    const file = named ? named[1] : '(diff)';
+    if (text.length <= maxChars) {
+      pieces.push({ file, text });
+      continue;
+    }
 
-  // If command contains {{diff}} and diff is huge, use stdin instead
-  const usesInlineDiff = runner.command.includes('{{diff}}');
-  let finalCommand = expandedCommand;
-  let input = undefined;
+    const [header, ...hunks] = text.split(/^(?=@@ )/m);
+    const room = Math.max(Math.floor(maxChars / 2), maxChars - header.length);
+    if (hunks.length === 0) {
+      splitLines(text, maxChars).forEach(part => pieces.push({ file, text: part }));
+      continue;
+    }
+    for (const hunk of hunks) {
+      splitLines(hunk, room).forEach(part => pieces.push({ file, text: header + part }));
+    }
+  }
 
-  // For very large diffs, pass via stdin to avoid arg length limits
-  const diffContent = phase === 'push' ? context.diffPush : context.diff;
-  if (usesInlineDiff && diffContent.length > 100000) {
-    // Replace inline diff with stdin marker
-    finalCommand = runner.command.replace(/\{\{diff\}\}/g, '$(cat)');
-    input = diffContent;
+  const chunks = [];
+  let current = null;
+  for (const piece of pieces) {
+    if (current && current.diff.length + piece.text.length <= maxChars) {
+      current.diff += piece.text;
+      if (!current.files.includes(piece.file)) current.files.push(piece.file);
+    } else {
+      current = { diff: piece.text, files: [piece.file] };
+      chunks.push(current);
+    }
   }
+  return chunks;
+}
+
+/**
+ * Chunks an LLM runner reviews the phase's diff in, or null when the diff fits
+ * one call (or the runner isn't an LLM runner)
+ */
+function planDiffChunks(runner, diff) {
+  if (!runner.llm) return null;
+  const maxChars = (runner.chunkTokens || DEFAULT_CHUNK_TOKENS) * CHARS_PER_TOKEN;
+  if (diff.length <= maxChars) return null;
+  const chunks = splitDiff(diff, maxChars);
+  return chunks.length > 1 ? chunks : null;
+}
+
+// Severity of a verdict when merging chunk reviews: the worst one wins
+function verdictRank(verdict) {
+  if (verdict === 'PASS') return 0;
+  if (verdict === null) return 1;
+  return verdict === 'FAIL' ? 3 : 2;
+}
+
+// Runner wall-clock limit, unless the runner sets `timeout`
+const RUNNER_TIMEOUT = 600000; // 10 min max
+
+// Parallel runners in flight at once, unless the config sets `concurrency`
+const DEFAULT_CONCURRENCY = Math.max(1, os.cpus().length);
+
+// How long a timed-out runner has to exit after SIGTERM before it gets SIGKILL
+const KILL_GRACE = 2000;
 
+// Largest template variable exported as an env var (Linux caps one at 128KB)
+const MAX_ENV_VAR_BYTES = 100000;
+
+// Runner temp directories (snapshots, variable files) not yet removed, each
+// mapped to the runner using it once spawned; cleaned up on exit, Ctrl-C and SIGTERM
+const liveTempDirs = new Map();
+let tempDirCleanupInstalled = false;
+
+function removeTempDir(dir) {
   try {
-    const result = spawnSync('bash', ['-c', finalCommand], {
-      encoding: 'utf8',
-      env,
-      input,
-      maxBuffer: 50 * 1024 * 1024,
-      timeout: 600000 // 10 min max
+    fs.rmSync(dir, { recursive: true, force: true });
+  } catch (e) {}
+  liveTempDirs.delete(dir);
+}
+
+function installTempDirCleanup() {
+  if (tempDirCleanupInstalled) return;
+  tempDirCleanupInstalled = true;
+
+  process.on('exit', () => {
+    for (const dir of liveTempDirs.keys()) removeTempDir(dir);
+  });
+  for (const signal of ['SIGINT', 'SIGTERM', 'SIGHUP']) {
+    process.once(signal, () => {
+      for (const [dir, child] of liveTempDirs) {
+        if (child) killRunner(child);
+        removeTempDir(dir);
+      }
+      process.exit(128 + os.constants.signals[signal]);
     });
+  }
+}
+
+/**
+ * Stop a runner started by executeRunner() along with anything it spawned
+ * (it leads its own process group)
+ */
+function killRunner(child, signal = 'SIGTERM') {
+  try {
+    process.kill(-child.pid, signal);
+  } catch (e) {
+    child.kill(signal);
+  }
+}
 
-    const output = (result.stdout || '') + (result.stderr || '');
-    const passed = result.status === 0;
+function makeTempDir(prefix) {
+  installTempDirCleanup();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  liveTempDirs.set(dir, null);
+  return dir;
+}
 
-    const trimmedOutput = output.trim();
-    const result_obj = {
-      name: runner.name,
-      command: runner.command,
-      expandedCommand: finalCommand,
-      passed,
-      output: trimmedOutput,
-      error: passed ? null : `Exit code ${result.status}`,
-      duration: Date.now() - start
-    };
+/**
+ * Materialise the tree a gate validates into a temporary directory: the staged
+ * tree for commit gates, HEAD's tree for push gates. A temporary index keeps
+ * the real index untouched. The repo's node_modules is linked in when it isn't
+ * tracked, so test commands find their dependencies.
+ *
+ * @returns {{ dir: string, cwd: string }} Snapshot root (remove it with removeTempDir)
+ *   and the directory matching the current working directory inside it
+ */
+function createSnapshot(phase) {
+  const git = (args, env) => execFileSync('git', args, { encoding: 'utf8', env, stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+
+  const toplevel = git(['rev-parse', '--show-toplevel']);
+  const prefix = git(['rev-parse', '--show-prefix']);
+  const tree = phase === 'push' ? git(['rev-parse', 'HEAD^{tree}']) : git(['write-tree']);
+
+  const dir = makeTempDir('agent-lease-snapshot-');
+
+  try {
+    const root = path.join(dir, 'tree');
+    const env = { ...process.env, GIT_INDEX_FILE: path.join(dir, 'index') };
+    git(['-C', toplevel, 'read-tree', tree], env);
+    git(['-C', toplevel, 'checkout-index', '--all', `--prefix=${root}/`], env);
+    fs.mkdirSync(root, { recursive: true });
+
+    const modules = path.join(toplevel, 'node_modules');
+    if (fs.existsSync(modules) && !fs.existsSync(path.join(root, 'node_modules'))) {
+      fs.symlinkSync(modules, path.join(root, 'node_modules'), 'dir');
+    }
+
+    return { dir, cwd: path.join(root, prefix) };
+  } catch (e) {
+    removeTempDir(dir);
+    throw e;
+  }
+}
+
+/**
+ * Write every template variable to its own file, for {{<name>_file}} and
+ * $AGENT_LEASE_<NAME>_FILE. Each file holds exactly the variable's value.
+ *
+ * @returns {{ dir: string, paths: Object<string, string> }} Directory (remove it with
+ *   removeTempDir) and variable name → file path
+ */
+function writeVarFiles(vars) {
+  const dir = makeTempDir('agent-lease-vars-');
+  const paths = {};
+  for (const [name, value] of Object.entries(vars)) {
+    paths[name] = path.join(dir, name);
+    fs.writeFileSync(paths[name], value);
+  }
+  return { dir, paths };
+}
 
-    // Add proof capture
-    result_obj.proof = {
-      summary: (trimmedOutput || '').split('\n').filter(l => l.trim()).slice(0, 1).join(''),
-      hash: crypto.createHash('sha256').update(trimmedOutput || '').digest('hex').slice(0, 7),
-      output: (trimmedOutput || '').slice(0, 10000)
+/**
+ * Snapshot for a runner with `isolation: "index"`, null for runners that run
+ * in the working tree. Throws on unknown isolation values and git errors.
+ */
+function prepareIsolation(runner, phase) {
+  if (!runner.isolation) return null;
+  if (runner.isolation !== 'index') {
+    throw new Error(`Unknown isolation "${runner.isolation}" for runner ${runner.name} (expected index)`);
+  }
+  try {
+    return createSnapshot(phase);
+  } catch (e) {
+    throw new Error(`Could not snapshot the ${phase === 'push' ? 'pushed' : 'staged'} tree: ${(e.stderr || e.message).toString().trim()}`);
+  }
+}
+
+/**
+ * Resolve the command, env and stdin for a runner. Shell runners run
+ * `finalCommand` with `bash -c`; runners with `args` are spawned directly from
+ * `spawnArgs`, no shell involved, and an argument that is exactly {{files}} or
+ * {{matchedFiles}} becomes one argument per path.
+ *
+ * Every template variable is also exported as AGENT_LEASE_<NAME> (when small
+ * enough for the environment) and, once `varFiles` are written, as
+ * AGENT_LEASE_<NAME>_FILE and {{<name>_file}}. `error` is set when the runner
+ * reads an AGENT_LEASE_<NAME> that was too large to export.
+ *
+ * `matched` is the runner's file-filtered paths (null without a filter);
+ * an empty list means the runner doesn't apply to this change.
+ */
+function prepareRunner(runner, context, projectName, phase, varFiles = null) {
+  const matched = matchRunnerFiles(runner, context, phase);
+  if (matched) context = { ...context, matchedFiles: matched.join(' '), matchedFileList: matched };
+
+  const vars = getTemplateVars(context, projectName, phase);
+  const expand = (text, shell = false) => expandCommand(text, context, projectName, phase, varFiles, shell);
+
+  // Merge env vars; runners can echo the lock's challenge nonce into their output
+  const env = { ...process.env, ...runner.env };
+  for (const [name, value] of Object.entries(vars)) {
+    const envName = templateVarEnvName(name);
+    if (Buffer.byteLength(value) <= MAX_ENV_VAR_BYTES) env[envName] = value;
+    else delete env[envName]; // Not a value inherited from an outer gate
+    if (varFiles) env[`${envName}_FILE`] = varFiles[name];
+  }
+
+  // Variables read from files or the environment don't show in the expanded
+  // command (nor does {{<name>}} in a shell command), so their values key
+  // cached results separately
+  const source = [runner.command, ...(runner.args || [])].join('\n');
+  const readVars = Object.keys(vars).filter(name =>
+    source.includes(`{{${name}_file}}`) || new RegExp(`\\b${templateVarEnvName(name)}(_FILE)?\\b`).test(source) ||
+    (!runner.args && (runner.command || '').includes(`{{${name}}}`)));
+  const varsDigest = readVars.length > 0
+    ? crypto.createHash('sha256').update(JSON.stringify(readVars.map(name => [name, vars[name]]))).digest('hex')
+    : null;
+
+  // A runner reading a variable too large to export would see it unset: fail it instead
+  const unexported = readVars
+    .map(templateVarEnvName)
+    .filter(envName => env[envName] === undefined && new RegExp(`\\b${envName}\\b`).test(source));
+  const error = unexported.length > 0
+    ? `Too large to export (over ${MAX_ENV_VAR_BYTES / 1000}KB): ${unexported.map(envName => `$${envName}`).join(', ')}. ` +
+      `Read ${unexported.map(envName => `$${envName}_FILE`).join(', ')} instead`
+    : null;
+
+  // Native LLM runners send their prompt to a provider; it keys the cache like stdin
+  if (runner.type === 'llm') {
+    let input = '';
+    let error = null;
+    try {
+      input = buildLLMPrompt(runner, context, projectName, phase);
+    } catch (e) {
+      error = `Cannot read promptFile: ${e.message}`;
+    }
+    return { finalCommand: runner.command, spawnArgs: null, env, input, error, matched, vars, varsDigest: null };
+  }
+
+  if (runner.args) {
+    const fileList = (phase === 'push' ? context.fileListPush : context.fileList) || [];
+    const argv = [expand(runner.command), ...runner.args.flatMap(arg => {
+      if (arg === '{{files}}') return fileList;
+      if (arg === '{{matchedFiles}}') return matched || fileList;
+      return [expand(arg)];
+    })];
+    return {
+      finalCommand: argv.map(quoteArg).join(' '),
+      spawnArgs: [argv[0], argv.slice(1)],
+      env, input: undefined, error, matched, vars, varsDigest, readVars
     };
+  }
+
+  const finalCommand = expand(runner.command, true);
+  return { finalCommand, spawnArgs: ['bash', ['-c', finalCommand]], env, input: undefined, error, matched, vars, varsDigest, readVars };
+}
+
+/**
+ * Set up a runner that is about to run: its snapshot (with `isolation`) and
+ * variable files, then resolve its command against them
+ *
+ * @returns {{ prepared: object, cwd: string|undefined, tempDirs: string[] }}
+ *   Remove `tempDirs` with removeTempDir once the runner exits
+ */
+function setupRunner(runner, context, projectName, phase, vars) {
+  const snapshot = prepareIsolation(runner, phase);
+  let written;
+  try {
+    written = writeVarFiles(vars);
+  } catch (e) {
+    if (snapshot) removeTempDir(snapshot.dir);
+    throw e;
+  }
+  return {
+    prepared: prepareRunner(runner, context, projectName, phase, written.paths),
+    cwd: snapshot ? snapshot.cwd : undefined,
+    tempDirs: [written.dir, ...(snapshot ? [snapshot.dir] : [])]
+  };
+}
 
-    // Parse LLM output if runner is an LLM runner
-    if (runner.llm) {
-      result_obj.llmParsed = parseLLMOutput(trimmedOutput);
-      // Override passed based on LLM verdict if present
-      if (result_obj.llmParsed.verdict) {
-        result_obj.passed = result_obj.llmParsed.verdict === 'PASS';
+/**
+ * Result for a runner whose `files`/`ignore` filter matched no changed file
+ */
+function buildSkippedResult(runner) {
+  return {
+    name: runner.name,
+    command: runner.command,
+    expandedCommand: null,
+    passed: true,
+    skipped: true,
+    output: '',
+    error: null,
+    duration: 0,
+    proof: null
+  };
+}
+
+/**
+ * Result for a runner not run because a runner it depends on failed
+ */
+function buildBlockedResult(runner, failedDeps) {
+  return {
+    name: runner.name,
+    command: runner.command,
+    expandedCommand: null,
+    passed: false,
+    blocked: true,
+    output: '',
+    error: `Not run: depends on ${failedDeps.join(', ')}`,
+    duration: 0,
+    proof: null
+  };
+}
+
+/**
+ * Hash of the files a runner reads: its declared `inputs` globs (working tree
+ * contents), else the staged tree for commit gates and HEAD's tree for push gates.
+ * Isolated runners only ever see that tree, so `inputs` doesn't apply to them.
+ *
+ * @returns {string|null} null when the inputs can't be determined
+ */
+function hashRunnerInputs(runner, phase) {
+  if (runner.inputs && runner.inputs.length > 0 && !runner.isolation) {
+    const listed = spawnSync('git', ['ls-files', '-z', '--cached', '--others', '--exclude-standard', '--',
+      ...runner.inputs.map(glob => `:(glob)${glob}`)], { encoding: 'utf8' });
+    if (listed.status !== 0) return null;
+
+    const hash = crypto.createHash('sha256');
+    for (const file of listed.stdout.split('\0').filter(Boolean).sort()) {
+      hash.update(`${file}\0`);
+      try {
+        hash.update(fs.readFileSync(file));
+      } catch (e) {
+        hash.update('(deleted)');
       }
+      hash.update('\0');
     }
+    return hash.digest('hex');
+  }
 
-    return result_obj;
+  try {
+    const cmd = phase === 'push' ? 'git rev-parse "HEAD^{tree}"' : 'git write-tree';
+    return execSync(`${cmd} 2>/dev/null`, { encoding: 'utf8' }).trim() || null;
   } catch (e) {
-    const emptyOutput = '';
-    const result_obj = {
-      name: runner.name,
-      command: runner.command,
-      expandedCommand: finalCommand,
-      passed: false,
-      output: emptyOutput,
-      error: e.message,
-      duration: Date.now() - start
-    };
+    return null;
+  }
+}
+
+/**
+ * Content address of a runner's result: expanded command, stdin, declared env,
+ * template variables it reads outside the command, and inputs.
+ * Runners that opt out (`cache: false`) or aren't deterministic are never cached.
+ *
+ * @returns {string|null} Cache key, or null when the runner can't be cached
+ */
+function getCacheKey(runner, prepared, phase) {
+  if (runner.cache === false || runner.deterministic === false) return null;
+
+  const inputs = hashRunnerInputs(runner, phase);
+  if (!inputs) return null;
+
+  return crypto.createHash('sha256').update(JSON.stringify({
+    command: prepared.finalCommand,
+    stdin: prepared.input ? crypto.createHash('sha256').update(prepared.input).digest('hex') : null,
+    env: runner.env || {},
+    vars: prepared.varsDigest,
+    inputs
+  })).digest('hex');
+}
+
+/**
+ * A cached PASS for this key, rebuilt as a runner result marked `cached`
+ */
+function readCachedResult(runner, finalCommand, cacheDir, key, start) {
+  let entry;
+  try {
+    entry = JSON.parse(fs.readFileSync(path.join(cacheDir, `${key}.json`), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!entry || entry.key !== key || typeof entry.output !== 'string') return null;
+
+  // Same output, so the same proof hash as the run that produced it
+  const result = buildRunnerResult(runner, finalCommand, { status: 0, output: entry.output }, start);
+  if (!result.passed) return null;
+  result.cached = true;
+  result.cachedAt = entry.cachedAt;
+  return result;
+}
+
+/**
+ * Store a passing result under .agent-lease/cache/<key>.json
+ */
+function writeCachedResult(cacheDir, key, result) {
+  try {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    const file = path.join(cacheDir, `${key}.json`);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({
+      key,
+      name: result.name,
+      command: result.command,
+      output: result.output,
+      hash: result.proof.hash,
+      duration: result.duration,
+      cachedAt: new Date().toISOString()
+    }, null, 2) + '\n');
+    fs.renameSync(tmp, file);
+  } catch (e) {}
+}
+
+/**
+ * Build a runner result from its exit status and captured output
+ *
+ * @param {object} outcome - { status, output, error, timedOut } (error: the runner couldn't be spawned)
+ */
+function buildRunnerResult(runner, finalCommand, outcome, start) {
+  const trimmedOutput = outcome.error ? '' : (outcome.output || '').trim();
+  const passed = !outcome.error && !outcome.timedOut && outcome.status === 0;
+  const timeout = runner.timeout || RUNNER_TIMEOUT;
+
+  const result_obj = {
+    name: runner.name,
+    command: runner.command,
+    expandedCommand: finalCommand,
+    passed,
+    exitCode: outcome.status === undefined ? null : outcome.status,
+    output: trimmedOutput,
+    error: outcome.error ||
+      (outcome.timedOut ? `Timed out after ${(timeout / 1000).toFixed(1)}s` : passed ? null : `Exit code ${outcome.status}`),
+    duration: Date.now() - start
+  };
+  if (outcome.timedOut) result_obj.timedOut = true;
+
+  // Add proof capture
+  result_obj.proof = {
+    summary: trimmedOutput.split('\n').filter(l => l.trim()).slice(0, 1).join(''),
+    hash: crypto.createHash('sha256').update(trimmedOutput).digest('hex').slice(0, 7),
+    output: trimmedOutput.slice(0, 10000)
+  };
+
+  // Parse LLM output if runner is an LLM runner
+  if (runner.llm && !outcome.error) {
+    result_obj.llmParsed = parseLLMOutput(trimmedOutput);
+    // Override passed based on LLM verdict if present; a runner that was killed
+    // at its timeout fails whatever it printed first
+    if (outcome.timedOut) {
+      result_obj.passed = false;
+    } else if (result_obj.llmParsed.verdict) {
+      result_obj.passed = result_obj.llmParsed.verdict === 'PASS';
+    } else if (passed) {
+      // A clean exit with an unusable reply is an ERROR, never a pass
+      result_obj.passed = false;
+      result_obj.invalidReply = true;
+      result_obj.error = `Invalid reply: ${result_obj.llmParsed.error}`;
+    }
+  }
+
+  return result_obj;
+}
+
+/**
+ * Status of a runner result as recorded in locks, trailers and spot-checks
+ */
+function resultStatus(result) {
+  if (result.skipped) return 'SKIPPED';
+  if (result.timedOut) return 'TIMEOUT';
+  if (result.invalidReply) return 'ERROR';
+  return result.passed ? 'PASS' : 'FAIL';
+}
+
+/**
+ * Whether a failed attempt gets another try. Runners with `retries` retry any
+ * failure, unless `retryOn` narrows it to exit codes (numbers), output regexes
+ * (strings), timeouts ("TIMEOUT") or unusable LLM replies ("ERROR").
+ *
+ * @param {number} attempt - Attempts made so far
+ */
+function shouldRetry(runner, result, attempt) {
+  if (result.passed || result.cached || attempt > (runner.retries || 0)) return false;
+
+  const retryOn = runner.retryOn || [];
+  if (retryOn.length === 0) return true;
+  return retryOn.some(rule => {
+    if (typeof rule === 'number') return result.exitCode === rule;
+    if (rule === 'TIMEOUT') return Boolean(result.timedOut);
+    if (rule === 'ERROR') return Boolean(result.invalidReply);
+    try {
+      return new RegExp(rule, 'm').test(result.output);
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Final result of a retried runner: its last attempt, timed from the first, with
+ * every attempt's outcome listed. `flaky` marks a pass that needed a retry.
+ */
+function finishAttempts(attempts, start) {
+  const result = attempts[attempts.length - 1];
+  result.duration = Date.now() - start;
+  if (attempts.length > 1) {
+    result.attempts = attempts.map(a => ({
+      status: resultStatus(a),
+      exitCode: a.exitCode,
+      duration: a.duration,
+      error: a.error
+    }));
+    result.flaky = result.passed;
+  }
+  return result;
+}
 
-    // Add proof capture
-    result_obj.proof = {
-      summary: '',
-      hash: crypto.createHash('sha256').update(emptyOutput).digest('hex').slice(0, 7),
-      output: ''
+/**
+ * Live progress on stderr while runners execute (`context.output`):
+ *   'stream' - a line when each runner starts and finishes, plus its output as it
+ *              arrives, every line prefixed with the runner name ([lint] ...)
+ *   'quiet'  - only the start and finish lines: no spinners or redraws, so
+ *              non-TTY agent logs stay readable
+ * Anything else prints nothing. Output is captured for proof either way.
+ */
+function createProgress(mode, runner) {
+  const live = mode === 'stream' || mode === 'quiet';
+  const write = line => { if (live) process.stderr.write(`[${runner.name}] ${line}\n`); };
+
+  // Split chunks into whole lines per stream, so stdout and stderr lines never interleave mid-line
+  const lineWriter = () => {
+    let partial = '';
+    return {
+      push(chunk) {
+        const lines = (partial + chunk).split('\n');
+        partial = lines.pop();
+        lines.forEach(write);
+      },
+      flush() {
+        if (partial) write(partial);
+        partial = '';
+      }
     };
+  };
+
+  return {
+    streaming: mode === 'stream',
+    lineWriter,
+    started: (attempt, label = null) => {
+      const what = attempt > 1 ? `retrying (attempt ${attempt} of ${(runner.retries || 0) + 1})` : 'started';
+      write(label ? `${what} ${label}` : what);
+    },
+    finished: result => {
+      const detail = result.skipped ? 'no matching files'
+        : result.cached ? 'cached'
+        : `${(result.duration / 1000).toFixed(1)}s`;
+      write(`${resultStatus(result)} (${detail})`);
+    }
+  };
+}
+
+/**
+ * One attempt at a `type: "llm"` runner: a provider request, aborted at the
+ * runner's timeout. Provider errors come back as a failed result. With
+ * `reprompt`, an unusable reply gets one follow-up in the same conversation
+ * quoting the validation error; the result records it as `reprompted`.
+ */
+async function runLLMAttempt(runner, prepared, progress) {
+  const start = Date.now();
+  if (prepared.error) return buildRunnerResult(runner, prepared.finalCommand, { error: prepared.error }, start);
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, runner.timeout || RUNNER_TIMEOUT);
+
+  const options = { env: prepared.env, signal: controller.signal };
+  const show = text => {
+    if (!progress.streaming) return;
+    const live = progress.lineWriter();
+    live.push(text);
+    live.flush();
+  };
+
+  try {
+    let reply = await completePrompt(runner, prepared.input, options);
+    show(reply.text);
+    const usages = [reply.usage];
 
-    return result_obj;
+    const invalid = runner.reprompt ? parseLLMOutput(reply.text).error : null;
+    if (invalid) {
+      reply = await completePrompt(runner, [
+        { role: 'user', content: prepared.input },
+        { role: 'assistant', content: reply.text },
+        { role: 'user', content: `Your reply could not be used: ${invalid}.\n\n` +
+          (runner.format === 'json' ? LLM_STEERING_JSON : LLM_STEERING) }
+      ], options);
+      show(reply.text);
+      usages.push(reply.usage);
+    }
+
+    const result = buildRunnerResult(runner, prepared.finalCommand, { status: 0, output: reply.text }, start);
+    if (invalid) result.reprompted = { error: invalid };
+    if (usages.every(Boolean)) result.usage = sumUsage(usages);
+    return result;
+  } catch (e) {
+    return buildRunnerResult(runner, prepared.finalCommand, timedOut ? { timedOut } : { error: e.message }, start);
+  } finally {
+    clearTimeout(timer);
   }
 }
 
 /**
- * Run all runners for a given phase (commit or push)
+ * One attempt at a runner: snapshot and variable files exist for its duration
+ * only. The runner leads its own process group, so a timeout stops everything
+ * it started: SIGTERM, then SIGKILL after KILL_GRACE, when the attempt ends
+ * whether or not the runner's output has closed.
+ */
+function runAttempt(runner, context, projectName, phase, prepared, progress) {
+  if (runner.type === 'llm') return runLLMAttempt(runner, prepared, progress);
+
+  const start = Date.now();
+  if (prepared.error) return Promise.resolve(buildRunnerResult(runner, prepared.finalCommand, { error: prepared.error }, start));
+  let setup;
+  try {
+    setup = setupRunner(runner, context, projectName, phase, prepared.vars);
+  } catch (e) {
+    return Promise.resolve(buildRunnerResult(runner, prepared.finalCommand, { error: e.message }, start));
+  }
+  const { finalCommand, spawnArgs: [file, args], env, input } = setup.prepared;
+
+  return new Promise(resolve => {
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+    let timedOut = false;
+    let killTimer = null;
+    const liveStdout = progress.lineWriter();
+    const liveStderr = progress.lineWriter();
+    const finish = outcome => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      liveStdout.flush();
+      liveStderr.flush();
+      setup.tempDirs.forEach(removeTempDir);
+      resolve(buildRunnerResult(runner, finalCommand, { ...outcome, timedOut }, start));
+    };
+
+    const child = spawn(file, args, { env, cwd: setup.cwd, detached: true });
+    setup.tempDirs.forEach(dir => liveTempDirs.set(dir, child));
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killRunner(child);
+      killTimer = setTimeout(() => {
+        killRunner(child, 'SIGKILL');
+        finish({ output: stdout + stderr });
+      }, KILL_GRACE);
+    }, runner.timeout || RUNNER_TIMEOUT);
+
+    child.stdout.setEncoding('utf8').on('data', chunk => {
+      stdout += chunk;
+      if (progress.streaming) liveStdout.push(chunk);
+    });
+    child.stderr.setEncoding('utf8').on('data', chunk => {
+      stderr += chunk;
+      if (progress.streaming) liveStderr.push(chunk);
+    });
+    child.on('error', e => finish({ error: e.message }));
+    child.on('close', status => finish({ status, output: stdout + stderr }));
+
+    // Runners that don't read stdin may close it before we finish writing
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Run a runner until it passes or runs out of `retries`
  *
- * Returns: { allPassed, results, totalDuration }
+ * @param {string|null} label - Shown in progress lines (e.g. the chunk under review)
  */
-function runRunners(runners, projectName, phase = 'commit') {
-  const context = getGitContext();
+async function runWithRetries(runner, context, projectName, phase, prepared, progress, label = null) {
+  const start = Date.now();
+  const attempts = [];
+  do {
+    progress.started(attempts.length + 1, label);
+    const attempt = await runAttempt(runner, context, projectName, phase, prepared, progress);
+    const usage = runner.llm ? attemptUsage(runner, prepared, attempt) : null;
+    if (usage) attempt.usage = usage;
+    attempts.push(attempt);
+  } while (shouldRetry(runner, attempts[attempts.length - 1], attempts.length));
+
+  // Every attempt was paid for
+  const result = finishAttempts(attempts, start);
+  const usage = sumUsage(attempts.map(a => a.usage));
+  if (usage) result.usage = usage;
+  return result;
+}
+
+/**
+ * Tokens an LLM attempt used, as its provider counted them or else estimated
+ * from the text sent (command, stdin and the variables it reads, or the prompt)
+ * and the output received, with their cost. Null if nothing came back.
+ */
+function attemptUsage(runner, prepared, attempt) {
+  if (attempt.usage) return priceUsage(runner, attempt.usage);
+  if (!attempt.output) return null;
+  const sent = runner.type === 'llm'
+    ? prepared.input
+    : [prepared.finalCommand, prepared.input || '', ...(prepared.readVars || []).map(name => prepared.vars[name])].join('\n');
+  return priceUsage(runner, estimateUsage(runner, sent, attempt.output));
+}
+
+/**
+ * Merge the reviews of a chunked diff into one runner result: severity counts
+ * summed, findings concatenated, the worst verdict, and the output of every
+ * chunk. `proof.chunks` keeps each chunk's own proof.
+ */
+function mergeChunkResults(runner, finalCommand, chunks, results, start) {
+  const label = i => `chunk ${i + 1}/${chunks.length}`;
+  const output = results.map((r, i) => `--- ${label(i)}: ${chunks[i].files.join(', ')} ---\n${r.output}`).join('\n\n');
+  const failedAt = results.findIndex(r => !r.passed);
+  const failed = results[failedAt];
+
+  const llmParsed = parseLLMOutput('');
+  Object.assign(llmParsed, { verdict: 'PASS', summary: '', raw: output, error: null });
+  const summaries = [];
+  for (const r of results) {
+    const parsed = r.llmParsed || parseLLMOutput('');
+    if (verdictRank(parsed.verdict) > verdictRank(llmParsed.verdict)) llmParsed.verdict = parsed.verdict;
+    for (const severity of SEVERITIES) llmParsed[severity] += parsed[severity];
+    llmParsed.findings.push(...parsed.findings);
+    llmParsed.issues.push(...parsed.issues);
+    if (parsed.format === 'json') llmParsed.format = 'json';
+    if (parsed.summary && !summaries.includes(parsed.summary)) summaries.push(parsed.summary);
+  }
+  llmParsed.summary = summaries.join('; ');
+
+  const result = {
+    name: runner.name,
+    command: runner.command,
+    expandedCommand: finalCommand,
+    passed: !failed,
+    exitCode: failed ? failed.exitCode : 0,
+    output,
+    error: failed ? `${label(failedAt)}: ${failed.error || 'FAIL'}` : null,
+    duration: Date.now() - start,
+    llmParsed,
+    proof: {
+      summary: llmParsed.summary || output.split('\n').filter(l => l.trim())[0] || '',
+      hash: crypto.createHash('sha256').update(output).digest('hex').slice(0, 7),
+      output: output.slice(0, 10000),
+      chunks: results.map((r, i) => ({
+        files: chunks[i].files,
+        status: resultStatus(r),
+        hash: r.proof.hash,
+        summary: r.proof.summary,
+        output: r.proof.output,
+        ...(r.attempts && { attempts: r.attempts.length })
+      }))
+    }
+  };
+  if (results.some(r => r.timedOut)) result.timedOut = true;
+  if (failed && failed.invalidReply) result.invalidReply = true;
+  if (!failed && results.some(r => r.flaky)) result.flaky = true;
+
+  const usage = sumUsage(results.map(r => r.usage));
+  if (usage) result.usage = usage;
+  return result;
+}
+
+/**
+ * Review a diff too large for one LLM call chunk by chunk, each chunk standing
+ * in for the whole diff in the runner's prompt. Every chunk is reviewed, even
+ * after one fails, so the merged findings cover the whole change.
+ */
+async function runChunkedReview(runner, context, projectName, phase, chunks, progress) {
+  const start = Date.now();
   const results = [];
+  for (const [i, chunk] of chunks.entries()) {
+    const chunkContext = { ...context, [phase === 'push' ? 'diffPush' : 'diff']: chunk.diff };
+    const prepared = prepareRunner(runner, chunkContext, projectName, phase);
+    const label = `chunk ${i + 1}/${chunks.length} (${chunk.files.join(', ')})`;
+    results.push(await runWithRetries(runner, chunkContext, projectName, phase, prepared, progress, label));
+  }
+  const finalCommand = prepareRunner(runner, context, projectName, phase).finalCommand;
+  return mergeChunkResults(runner, finalCommand, chunks, results, start);
+}
+
+// How many reviewers of a multi-reviewer runner must say FAIL to fail it
+const CONSENSUS_RULES = {
+  all: (fails, votes) => fails === votes,
+  majority: (fails, votes) => fails * 2 > votes,
+  'any-fail': fails => fails > 0
+};
+
+/**
+ * Key under which findings from different reviewers count as one: the same
+ * severity at the same file:line, or the same message
+ */
+function findingKey(issue) {
+  if (issue.file && issue.line) return `${issue.file}:${issue.line}:${issue.severity}`;
+  return issue.message.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * One reviewer's review: in chunks when the diff is too large, else in one go
+ */
+async function runReviewer(reviewer, context, projectName, phase) {
+  const progress = createProgress(context.output, reviewer);
+  const prepared = prepareRunner(reviewer, context, projectName, phase);
+  const chunks = planDiffChunks(reviewer, prepared.vars.diff);
+  const result = chunks
+    ? await runChunkedReview(reviewer, context, projectName, phase, chunks, progress)
+    : await runWithRetries(reviewer, context, projectName, phase, prepared, progress);
+  progress.finished(result);
+  return result;
+}
+
+/**
+ * Run every reviewer of a multi-reviewer runner at once and decide by its
+ * `consensus` rule over the reviewers that returned a verdict, provided at
+ * least `quorum` did (else the runner is an ERROR):
+ *   all       - fails only when every reviewer says FAIL
+ *   majority  - fails when more than half say FAIL (default)
+ *   any-fail  - fails when any reviewer says FAIL
+ * Findings are merged with duplicates dropped (see findingKey()); each severity
+ * count is the highest any one reviewer reported, or the number of distinct
+ * findings at that severity if higher. `proof.reviewers` keeps each reviewer's proof.
+ */
+async function runReviewers(runner, context, projectName, phase, finalCommand) {
   const start = Date.now();
+  const decide = CONSENSUS_RULES[runner.consensus];
+  if (!decide) {
+    const error = `Unknown consensus "${runner.consensus}" (expected ${Object.keys(CONSENSUS_RULES).join(', ')})`;
+    return buildRunnerResult(runner, finalCommand, { error }, start);
+  }
+
+  const results = await Promise.all(runner.reviewers.map(reviewer => runReviewer(reviewer, context, projectName, phase)));
+  const label = i => runner.reviewers[i].name.slice(runner.name.length + 1);
+  const output = results.map((r, i) => `--- reviewer ${label(i)}: ${resultStatus(r)} ---\n${r.output}`).join('\n\n');
+
+  const votes = results.map(r => r.llmParsed && r.llmParsed.verdict).filter(v => v === 'PASS' || v === 'FAIL');
+  const fails = votes.filter(v => v === 'FAIL').length;
+  // A reviewer that errors or times out can't pass the change by staying silent
+  const quorum = runner.quorum || runner.reviewers.length;
+  const verdict = votes.length < quorum ? null : decide(fails, votes.length) ? 'FAIL' : 'PASS';
+
+  const llmParsed = parseLLMOutput('');
+  Object.assign(llmParsed, {
+    verdict,
+    raw: output,
+    error: verdict ? null : `${votes.length} of ${results.length} reviewers returned a usable verdict, below the quorum of ${quorum}`
+  });
+  const seen = new Map();
+  results.forEach((r, i) => {
+    const parsed = r.llmParsed || parseLLMOutput('');
+    for (const severity of SEVERITIES) llmParsed[severity] = Math.max(llmParsed[severity], parsed[severity]);
+    if (parsed.format === 'json') llmParsed.format = 'json';
+    parsed.issues.forEach((issue, j) => {
+      const key = findingKey(issue);
+      if (seen.has(key)) {
+        seen.get(key).reviewers.push(label(i));
+        return;
+      }
+      const merged = { ...issue, reviewers: [label(i)] };
+      seen.set(key, merged);
+      llmParsed.issues.push(merged);
+      llmParsed.findings.push(parsed.findings[j]);
+    });
+  });
+  for (const severity of SEVERITIES) {
+    llmParsed[severity] = Math.max(llmParsed[severity], llmParsed.issues.filter(issue => issue.severity === severity).length);
+  }
+  llmParsed.summary = `${runner.consensus}: ${fails} of ${votes.length} reviewers say FAIL`;
+
+  const result = {
+    name: runner.name,
+    command: runner.command,
+    expandedCommand: finalCommand,
+    passed: verdict === 'PASS',
+    exitCode: verdict === 'PASS' ? 0 : null,
+    output,
+    error: verdict === 'PASS' ? null
+      : verdict === 'FAIL' ? `Reviewers failed the change (${llmParsed.summary})`
+      : `Invalid reply: ${llmParsed.error}`,
+    duration: Date.now() - start,
+    llmParsed,
+    consensus: runner.consensus,
+    reviewers: results.map((r, i) => ({ name: label(i), status: resultStatus(r), verdict: r.llmParsed ? r.llmParsed.verdict : null })),
+    proof: {
+      summary: llmParsed.summary,
+      hash: crypto.createHash('sha256').update(output).digest('hex').slice(0, 7),
+      output: output.slice(0, 10000),
+      reviewers: results.map((r, i) => ({
+        name: label(i),
+        status: resultStatus(r),
+        verdict: r.llmParsed ? r.llmParsed.verdict : null,
+        ...r.proof,
+        ...(r.attempts && { attempts: r.attempts.length })
+      }))
+    }
+  };
+  if (verdict === null) result.invalidReply = true;
+
+  const usage = sumUsage(results.map(r => r.usage));
+  if (usage) result.usage = usage;
+  return result;
+}
+
+/**
+ * Check severity counts against the runner's `failOn` thresholds
+ * ({ high: 1 } fails on one or more HIGH findings)
+ *
+ * @returns {{ checks: Array<{ severity, count, threshold, breached }>, error: string|null }}
+ *   error: the thresholds themselves are invalid
+ */
+function checkSeverityThresholds(failOn, parsed) {
+  const checks = [];
+  for (const [severity, threshold] of Object.entries(failOn)) {
+    if (!SEVERITIES.includes(severity)) {
+      return { checks, error: `Unknown failOn severity "${severity}" (expected ${SEVERITIES.join(', ')})` };
+    }
+    if (!Number.isInteger(threshold) || threshold < 1) {
+      return { checks, error: `failOn.${severity} must be a whole number of at least 1, got ${JSON.stringify(threshold)}` };
+    }
+    checks.push({ severity, count: parsed[severity], threshold, breached: parsed[severity] >= threshold });
+  }
+  return { checks, error: null };
+}
+
+// "2 high (failOn.high: 1)"
+function formatBreach(breach) {
+  return `${breach.count} ${breach.severity} (failOn.${breach.severity}: ${breach.threshold})`;
+}
+
+/**
+ * Hold an LLM result to the runner's `failOn` thresholds: a PASS verdict with
+ * findings at or over a threshold fails. Every check is recorded as
+ * `thresholds`, whatever the verdict. Invalid thresholds fail the runner.
+ */
+function applySeverityThresholds(runner, result) {
+  if (!runner.failOn || !result.llmParsed || !result.llmParsed.verdict) return result;
+
+  const { checks, error } = checkSeverityThresholds(runner.failOn, result.llmParsed);
+  if (error) return { ...result, passed: false, error };
+
+  const checked = { ...result, thresholds: checks };
+  const breaches = checks.filter(c => c.breached);
+  if (result.passed && breaches.length > 0) {
+    checked.passed = false;
+    checked.error = `Severity threshold exceeded: ${breaches.map(formatBreach).join(', ')}`;
+  }
+  return checked;
+}
+
+/**
+ * Execute a single runner. With `context.cacheDir` set, a PASS recorded for the
+ * same command and inputs is returned as-is, marked `cached: true`. A runner
+ * whose file filter matches nothing is not run and comes back `skipped: true`.
+ * With `isolation: "index"` the runner runs in a snapshot of the staged tree.
+ * Snapshots and variable files are removed afterwards, even if the runner times out.
+ * A runner past its `timeout` is stopped and comes back `timedOut: true`; failed
+ * attempts are retried per `retries`/`retryOn`. An LLM runner whose diff exceeds
+ * `chunkTokens` reviews it in chunks (see runChunkedReview()); chunked reviews
+ * aren't cached, and neither are runners with several `reviewers` (see
+ * runReviewers()). LLM results are then held to the runner's `failOn` thresholds
+ * (see applySeverityThresholds()) and their findings anchored to the diff
+ * (see anchorIssues()), and carry the tokens they used and what those cost as
+ * `usage` (see attemptUsage()). Progress goes to stderr per `context.output`
+ * (see createProgress()).
+ *
+ * Spawn and setup errors come back as a failed result. Anything unexpected
+ * rejects, and executeRunners() rejects with it.
+ *
+ * @returns {Promise<object>} { name, command, passed, exitCode, output, error, duration, proof,
+ *   cached, skipped, timedOut, attempts, flaky, usage }
+ */
+async function executeRunner(runner, context, projectName, phase = 'commit') {
+  const start = Date.now();
+  const progress = createProgress(context.output, runner);
+  const prepared = prepareRunner(runner, context, projectName, phase);
+
+  const chunks = planDiffChunks(runner, prepared.vars.diff);
+
+  let result;
+  if (prepared.matched && prepared.matched.length === 0) {
+    result = buildSkippedResult(runner);
+  } else if (runner.reviewers) {
+    result = applySeverityThresholds(runner, await runReviewers(runner, context, projectName, phase, prepared.finalCommand));
+  } else if (chunks) {
+    result = applySeverityThresholds(runner, await runChunkedReview(runner, context, projectName, phase, chunks, progress));
+  } else {
+    // Identical inputs already passed: reuse that result
+    const cacheKey = context.cacheDir ? getCacheKey(runner, prepared, phase) : null;
+    const cached = cacheKey && readCachedResult(runner, prepared.finalCommand, context.cacheDir, cacheKey, start);
+
+    // Thresholds apply to cached passes too, so tightening failOn takes effect at once
+    if (cached) {
+      result = applySeverityThresholds(runner, cached);
+    } else {
+      result = await runWithRetries(runner, context, projectName, phase, prepared, progress);
+      result.duration = Date.now() - start;
+      result = applySeverityThresholds(runner, result);
+
+      if (cacheKey && result.passed) writeCachedResult(context.cacheDir, cacheKey, result);
+    }
+  }
+
+  // Findings are checked against the diff the runner actually reviewed
+  if (result.llmParsed) {
+    result.llmParsed.issues = anchorIssues(result.llmParsed.issues, prepared.vars.diff);
+  }
+
+  progress.finished(result);
+  return result;
+}
+
+/**
+ * Dependency edges between runners: explicit `dependsOn`, plus the implicit
+ * ordering of runners that aren't `parallel` (they run alone, in config order).
+ * Throws on unknown dependencies and cycles.
+ *
+ * @param {object[]} runners
+ * @returns {Map<string, string[]>} runner name → names it waits for
+ */
+function buildRunnerGraph(runners) {
+  const names = runners.map(r => r.name);
+  const deps = new Map(names.map(n => [n, new Set()]));
+
+  runners.forEach((runner, i) => {
+    for (const dep of runner.dependsOn || []) {
+      if (!deps.has(dep)) {
+        throw new Error(`Runner ${runner.name} depends on ${dep}, which is not part of this run`);
+      }
+      deps.get(runner.name).add(dep);
+    }
+    if (!runner.parallel) {
+      // Waits for everything before it, and everything after waits for it
+      names.slice(0, i).forEach(n => deps.get(runner.name).add(n));
+      names.slice(i + 1).forEach(n => deps.get(n).add(runner.name));
+    }
+  });
+
+  const state = new Map();
+  const visit = (name, trail) => {
+    if (state.get(name) === 'done') return;
+    if (state.get(name) === 'visiting') {
+      throw new Error(`Runner dependency cycle: ${[...trail, name].join(' -> ')}`);
+    }
+    state.set(name, 'visiting');
+    deps.get(name).forEach(dep => visit(dep, [...trail, name]));
+    state.set(name, 'done');
+  };
+  names.forEach(name => visit(name, []));
+
+  return new Map([...deps].map(([name, set]) => [name, [...set]]));
+}
 
+/**
+ * Chain of runners that decided the total time: from the last runner to finish,
+ * walk back through whichever dependency finished last
+ *
+ * @returns {string[]} Runner names, first to last
+ */
+function findCriticalPath(results, graph) {
+  const byName = new Map(results.map(r => [r.name, r]));
+  // Blocked runners never ran, so they can't be on the path
+  const latest = list => list
+    .filter(r => !r.blocked)
+    .reduce((last, r) => (!last || r.finishedAt > last.finishedAt ? r : last), null);
+
+  const path = [];
+  let current = latest(results);
+  while (current) {
+    path.unshift(current.name);
+    current = latest(graph.get(current.name).map(name => byName.get(name)).filter(Boolean));
+  }
+  return path;
+}
+
+/**
+ * Run runners as a dependency graph against a prepared context.
+ * Runners marked `parallel` overlap (up to `concurrency` at once) once their
+ * `dependsOn` runners have passed. Nothing new starts after a failure, unless
+ * `failFast` is false: then every runner runs except those whose `dependsOn`
+ * failed, which come back `blocked: true`.
+ *
+ * @param {object} options - { concurrency, failFast }
+ * @returns {Promise<object>} { allPassed, results, totalDuration, criticalPath }
+ */
+async function executeRunners(runners, context, projectName, phase = 'commit', options = {}) {
+  const graph = buildRunnerGraph(runners);
+  const concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+  const start = Date.now();
+  const finished = new Map();
+  const running = new Set();
+  const failFast = options.failFast !== false;
+  let allPassed = true;
+
+  // A runner that rejects rejects the whole run, rather than leaving it waiting
+  await new Promise((resolve, reject) => {
+    const launch = () => {
+      for (const runner of runners) {
+        if ((failFast && !allPassed) || running.size >= concurrency) break;
+        if (finished.has(runner.name) || running.has(runner.name)) continue;
+        if (!graph.get(runner.name).every(dep => finished.has(dep))) continue;
+
+        // Without fail-fast, a runner whose dependency failed is reported but not run
+        const failedDeps = (runner.dependsOn || []).filter(dep => !finished.get(dep).passed);
+        if (failedDeps.length > 0) {
+          finished.set(runner.name, buildBlockedResult(runner, failedDeps));
+          return launch();
+        }
+
+        running.add(runner.name);
+        const startedAt = Date.now() - start;
+        executeRunner(runner, context, projectName, phase).then(result => {
+          running.delete(runner.name);
+          result.startedAt = startedAt;
+          result.finishedAt = Date.now() - start;
+          finished.set(runner.name, result);
+          if (!result.passed) allPassed = false; // Fail-fast stops scheduling here
+          launch();
+        }).catch(reject);
+      }
+      if (running.size === 0) resolve();
+    };
+    launch();
+  });
+
+  // Report in config order, not completion order
+  const results = runners.filter(r => finished.has(r.name)).map(r => finished.get(r.name));
+
+  return {
+    allPassed,
+    results,
+    totalDuration: Date.now() - start,
+    criticalPath: findCriticalPath(results, graph)
+  };
+}
+
+/**
+ * Run all runners for a given phase (commit or push)
+ *
+ * @param {object} options - { concurrency, cacheDir, failFast, output }
+ * @returns {Promise<object>} { allPassed, results, totalDuration, criticalPath }
+ */
+async function runRunners(runners, projectName, phase = 'commit', options = {}) {
   // Filter runners for this phase
   const phaseRunners = runners.filter(r => {
     const on = r.on || 'commit';
@@ -288,41 +1792,142 @@ function runRunners(runners, projectName, phase = 'commit') {
   });
 
   if (phaseRunners.length === 0) {
-    return { allPassed: true, results: [], totalDuration: 0 };
+    return { allPassed: true, results: [], totalDuration: 0, criticalPath: [] };
   }
 
-  let allPassed = true;
+  const context = getGitContext();
+  context.cacheDir = options.cacheDir || null;
+  context.output = options.output || null;
+  return executeRunners(phaseRunners, context, projectName, phase, options);
+}
 
-  for (const runner of phaseRunners) {
-    const result = executeRunner(runner, context, projectName, phase);
-    results.push(result);
+/**
+ * Run the runners configured for a topic (v4.0)
+ *
+ * @param {object[]} runners - Runners for the topic (from getRunnersForTopic)
+ * @param {string} projectName
+ * @param {string} topic - Topic name (e.g., 'pre-commit', 'pre-push', 'custom')
+ * @param {object} options - { args, nonce, concurrency, cacheDir, failFast, output }
+ *   args: positional args for {{args}}
+ *   nonce: challenge nonce, exposed as AGENT_LEASE_NONCE
+ *   cacheDir: reuse passing results for identical inputs (.agent-lease/cache/)
+ *   failFast: false runs every runner instead of stopping at the first failure
+ *   output: 'stream' or 'quiet' for live progress on stderr (see createProgress())
+ * @returns {Promise<object>} { allPassed, results, totalDuration, criticalPath }
+ */
+function runTopicRunners(runners, projectName, topic, options = {}) {
+  const phase = topic === 'pre-push' ? 'push' : 'commit';
+  const context = getContextForTopic(topic, options.args || [], options.nonce || null);
+  context.cacheDir = options.cacheDir || null;
+  context.output = options.output || null;
+  return executeRunners(runners, context, projectName, phase, options);
+}
 
-    if (!result.passed) {
-      allPassed = false;
-      break; // Stop on first failure
-    }
+/**
+ * Pick n runners at random
+ */
+function sampleRunners(runners, n) {
+  const pool = [...runners];
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, n);
+}
+
+/**
+ * Re-execute runners an agent claimed in its proof (hybrid mode spot-check).
+ * Every selected runner runs, so the caller can show each claim that didn't hold.
+ *
+ * @param {object} parsedProof - { runners: [{name, status, output}], summary }
+ * @param {object[]} runners - Runners for the topic (from getRunnersForTopic)
+ * @param {string} projectName
+ * @param {string} topic - Topic name (e.g., 'pre-commit', 'pre-push', 'custom')
+ * @param {string[]} args - Positional args for {{args}}
+ * @param {string|number} verify - 'deterministic' | 'all' | sample size (from getTopicVerify)
+ * @param {string|null} nonce - Challenge nonce, exposed as AGENT_LEASE_NONCE
+ * @param {string|null} output - 'stream' or 'quiet' for live progress (see createProgress())
+ * @returns {Promise<object>} { verify, checked: [{ name, claimed, actual, error, output, duration, hash }], mismatches, skipped }
+ */
+async function spotCheckProof(parsedProof, runners, projectName, topic, args = [], verify = 'deterministic', nonce = null, output = null) {
+  const claimOf = runner => parsedProof.runners.find(p => p.name.toLowerCase() === runner.name.toLowerCase());
+  const claimed = runners.filter(claimOf);
+
+  let selected;
+  if (verify === 'all') {
+    selected = claimed;
+  } else if (verify === 'deterministic') {
+    selected = claimed.filter(r => r.deterministic !== false);
+  } else {
+    selected = sampleRunners(claimed, verify);
+  }
+
+  const phase = topic === 'pre-push' ? 'push' : 'commit';
+  const context = selected.length > 0 ? getContextForTopic(topic, args, nonce) : null;
+  if (context) context.output = output;
+
+  const checked = [];
+  for (const runner of selected) {
+    const result = await executeRunner(runner, context, projectName, phase);
+    checked.push({
+      name: runner.name,
+      claimed: claimOf(runner).status || 'UNKNOWN',
+      actual: resultStatus(result),
+      error: result.error,
+      output: result.output,
+      duration: result.duration,
+      hash: result.proof ? result.proof.hash : null,
+      ...(result.usage && { usage: result.usage })
+    });
   }
 
   return {
-    allPassed,
-    results,
-    totalDuration: Date.now() - start
+    verify,
+    checked,
+    // FAIL claims never get this far, so any failing re-run contradicts the proof
+    mismatches: checked.filter(c => ['FAIL', 'TIMEOUT', 'ERROR'].includes(c.actual)),
+    skipped: claimed.filter(r => !selected.includes(r)).map(r => r.name)
   };
 }
 
 /**
- * Format runner results for display
+ * Format runner results for display, with the critical path from executeRunners()
  */
-function formatResults(results) {
+function formatResults(results, criticalPath = []) {
   const lines = [];
   for (const r of results) {
-    const icon = r.passed ? '✅' : '❌';
-    const time = `(${(r.duration / 1000).toFixed(1)}s)`;
+    if (r.skipped) {
+      lines.push(`  ⏭️  ${r.name}: skipped (no matching files)`);
+      continue;
+    }
+    if (r.blocked) {
+      lines.push(`  ⛔ ${r.name}: ${r.error.toLowerCase()}`);
+      continue;
+    }
+
+    const icon = r.timedOut ? '⏱️ ' : r.invalidReply ? '⚠️ ' : r.passed ? '✅' : '❌';
+    // Start offset shows which runners overlapped
+    const time = r.cached
+      ? `(cached, ${r.proof.hash})`
+      : r.startedAt !== undefined
+      ? `(${(r.duration / 1000).toFixed(1)}s, started +${(r.startedAt / 1000).toFixed(1)}s)`
+      : `(${(r.duration / 1000).toFixed(1)}s)`;
     lines.push(`  ${icon} ${r.name}: ${r.command} ${time}`);
+    if (r.timedOut) lines.push(`     TIMEOUT: ${r.error}`);
+    if (r.invalidReply) lines.push(`     ERROR: ${r.error}`);
+    const breaches = (r.thresholds || []).filter(c => c.breached);
+    if (breaches.length > 0) lines.push(`     THRESHOLD: ${breaches.map(formatBreach).join(', ')}`);
+
+    // Retried runners show every attempt, so flaky passes stay visible
+    if (r.attempts) {
+      const tries = r.attempts.map(a => `${a.status}${a.exitCode !== null && a.status !== 'PASS' ? ` (exit ${a.exitCode})` : ''}`);
+      lines.push(`     ${r.flaky ? 'FLAKY - ' : ''}${r.attempts.length} attempts: ${tries.join(', ')}`);
+    }
 
     // Show LLM parsed output for LLM runners
     if (r.llmParsed) {
       const lp = r.llmParsed;
+      if (r.reviewers) lines.push(`     Reviewers (${r.consensus}): ${r.reviewers.map(v => `${v.name} ${v.status}`).join(', ')}`);
       if (lp.verdict) lines.push(`     Verdict: ${lp.verdict}`);
       if (lp.critical > 0) lines.push(`     Critical: ${lp.critical}`);
       if (lp.high > 0) lines.push(`     High: ${lp.high}`);
@@ -330,9 +1935,13 @@ function formatResults(results) {
       if (lp.low > 0) lines.push(`     Low: ${lp.low}`);
       if (lp.findings.length > 0) {
         lines.push('     Findings:');
-        lp.findings.forEach(f => lines.push(`       - ${f}`));
+        lp.findings.forEach((f, i) => {
+          const issue = lp.issues[i];
+          lines.push(`       - ${f}${issue && issue.suspect ? ` (${issue.file}${issue.line ? `:${issue.line}` : ''} is not in the diff - likely hallucinated)` : ''}`);
+        });
       }
       if (lp.summary) lines.push(`     Summary: ${lp.summary}`);
+      if (r.usage && !r.cached) lines.push(`     Cost: ${formatCost(r.usage)}`);
     } else if (r.output && (r.command.includes('claude') || r.command.includes('codex') || !r.passed)) {
       // Show output for agentic runners or on failure
       const outputLines = r.output.split('\n').slice(0, 20); // First 20 lines
@@ -342,17 +1951,32 @@ function formatResults(results) {
       }
     }
   }
+
+  if (criticalPath.length > 0) {
+    const byName = new Map(results.map(r => [r.name, r]));
+    const pathTime = criticalPath.reduce((sum, name) => sum + byName.get(name).duration, 0);
+    lines.push('');
+    lines.push(`  Critical path: ${criticalPath.join(' -> ')} (${(pathTime / 1000).toFixed(1)}s)`);
+  }
   return lines.join('\n');
 }
 
 module.exports = {
   getGitContext,
   getContextForTopic,
+  matchGlob,
+  matchRunnerFiles,
   expandCommand,
+  getTemplateVars,
+  resultStatus,
   executeRunner,
+  executeRunners,
   runRunners,
+  runTopicRunners,
+  spotCheckProof,
   formatResults,
   parseLLMOutput,
+  buildLLMPrompt,
   LLM_START,
   LLM_END
 };
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+/**
+ * SARIF 2.1.0 export of LLM review findings
+ *
+ * One run per LLM runner, one result per finding. Findings anchored to a file
+ * carry a location (relative to %SRCROOT%, the project root) so editors and
+ * code-scanning viewers can jump to them. Findings that point outside the diff
+ * (see anchorIssues() in runner.js) keep their location but are marked
+ * `likelyHallucination` in their properties.
+ */
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// SARIF levels for finding severities; untagged findings are warnings
+const SEVERITY_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+
+function sarifResult(issue) {
+  const result = {
+    ruleId: issue.rule || `agent-lease/${issue.severity || 'finding'}`,
+    level: SEVERITY_LEVELS[issue.severity] || 'warning',
+    message: { text: issue.message },
+    properties: {
+      severity: issue.severity,
+      anchor: issue.anchor === undefined ? null : issue.anchor,
+      likelyHallucination: Boolean(issue.suspect)
+    }
+  };
+  if (issue.file) {
+    const physicalLocation = { artifactLocation: { uri: issue.file, uriBaseId: 'SRCROOT' } };
+    if (issue.line) physicalLocation.region = { startLine: issue.line };
+    result.locations = [{ physicalLocation }];
+  }
+  return result;
+}
+
+/**
+ * Build a SARIF log from runner results
+ *
+ * @param {object[]} runnerResults - Results from executeRunner(); those without parsed LLM output are left out
+ * @param {object} options - { projectRoot }
+ * @returns {object|null} SARIF log, or null when no runner produced LLM findings to report
+ */
+function buildSarif(runnerResults, options = {}) {
+  const reviewed = runnerResults.filter(r => r.llmParsed && !r.skipped);
+  if (reviewed.length === 0) return null;
+
+  const root = path.resolve(options.projectRoot || process.cwd());
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: reviewed.map(r => {
+      const results = (r.llmParsed.issues || []).map(sarifResult);
+      const ruleIds = [...new Set(results.map(res => res.ruleId))];
+      return {
+        tool: {
+          driver: {
+            name: `agent-lease/${r.name}`,
+            informationUri: 'https://github.com/chidev/agent-lease',
+            rules: ruleIds.map(id => ({ id }))
+          }
+        },
+        originalUriBaseIds: { SRCROOT: { uri: `${pathToFileURL(root).href}/` } },
+        invocations: [{ executionSuccessful: Boolean(r.llmParsed.verdict), commandLine: r.command }],
+        properties: { verdict: r.llmParsed.verdict, summary: r.llmParsed.summary },
+        results
+      };
+    })
+  };
+}
+
+module.exports = {
+  buildSarif
+};
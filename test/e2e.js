@@ -115,6 +115,13 @@ function agentLease(args, opts = {}) {
   return run(`node ${AGENT_LEASE_BIN} ${args}`, opts);
 }
 
+// Proof has to echo the gate's challenge nonce in every runner's Output: line
+function withNonce(proofText, gate) {
+  const match = gate.output.match(/al-[0-9a-f]{16}/);
+  const nonce = match ? match[0] : '';
+  return proofText.split('\n').map(line => (line.startsWith('Output:') ? `${line} ${nonce}` : line)).join('\n');
+}
+
 // ============ TESTS ============
 
 function test_init() {
@@ -488,11 +495,11 @@ function test_proof_submission_v32() {
 
   fs.writeFileSync(path.join(testDir, 'proof.txt'), 'proof-test');
   run('git add proof.txt');
-  run('git commit -m "proof-test"'); // Creates lock
+  const gate = run('git commit -m "proof-test"'); // Creates lock
 
   // Submit proof via v3.2 mode
   const proofText = '## Validation Report\nRunner: build\nStatus: PASS\nOutput: Build succeeded\n\nSummary: All validations passed.';
-  const result = agentLease(`release --audit-proof='${proofText}'`);
+  const result = agentLease(`release --audit-proof='${withNonce(proofText, gate)}'`);
 
   if (result.status !== 0) {
     return fail('v3.2 proof submission should succeed', result.output);
@@ -558,11 +565,11 @@ function test_proof_missing_runner_rejected() {
 
   fs.writeFileSync(path.join(testDir, 'missing.txt'), 'missing-test');
   run('git add missing.txt');
-  run('git commit -m "missing-test"'); // Creates lock
+  const gate = run('git commit -m "missing-test"'); // Creates lock
 
   // Only submit proof for build, not lint
   const proofText = '## Validation Report\nRunner: build\nStatus: PASS\nOutput: ok\n\nSummary: done';
-  const result = agentLease(`release --audit-proof='${proofText}'`);
+  const result = agentLease(`release --audit-proof='${withNonce(proofText, gate)}'`);
 
   if (result.status === 0) {
     return fail('should reject incomplete proof', result.output);
@@ -592,10 +599,10 @@ function test_proof_fail_status_rejected() {
 
   fs.writeFileSync(path.join(testDir, 'fail.txt'), 'fail-test');
   run('git add fail.txt');
-  run('git commit -m "fail-test"'); // Creates lock
+  const gate = run('git commit -m "fail-test"'); // Creates lock
 
   const proofText = '## Validation Report\nRunner: build\nStatus: FAIL\nOutput: Build failed\n\nSummary: Failed.';
-  const result = agentLease(`release --audit-proof='${proofText}'`);
+  const result = agentLease(`release --audit-proof='${withNonce(proofText, gate)}'`);
 
   if (result.status === 0) {
     return fail('should reject proof with FAIL status', result.output);
@@ -625,10 +632,10 @@ function test_agent_summary_trailer() {
 
   fs.writeFileSync(path.join(testDir, 'trailer.txt'), 'trailer-test');
   run('git add trailer.txt');
-  run('git commit -m "trailer-test"'); // Creates lock
+  const gate = run('git commit -m "trailer-test"'); // Creates lock
 
   const proofText = '## Validation Report\nRunner: build\nStatus: PASS\nOutput: ok\n\nSummary: All checks passed, safe to commit.';
-  agentLease(`release --audit-proof='${proofText}'`);
+  agentLease(`release --audit-proof='${withNonce(proofText, gate)}'`);
 
   // Now commit should succeed and include trailers
   const result = run('git commit -m "trailer-test"');
@@ -651,6 +658,113 @@ function test_agent_summary_trailer() {
   pass('agent-lease-agent-summary trailer appears in commit');
 }
 
+function test_audit_log() {
+  log('\n🧪 Test: consumed lease is archived to the audit log');
+
+  writeTestConfig({
+    runners: [
+      { name: 'build', command: 'echo ok', on: 'commit' }
+    ],
+    lockDir: 'local'
+  });
+  agentLease('init');
+
+  fs.writeFileSync(path.join(testDir, 'audited.txt'), 'audit-test');
+  run('git add audited.txt');
+  const gate = run('git commit -m "audit-test"'); // Creates lock
+
+  const proofText = '## Validation Report\nRunner: build\nStatus: PASS\nOutput: ok\n\nSummary: Audited change.';
+  agentLease(`release --audit-proof='${withNonce(proofText, gate)}'`);
+
+  const result = run('git commit -m "audit-test"');
+  if (result.status !== 0) {
+    return fail('commit should succeed after proof', result.output);
+  }
+
+  const logPath = path.join(testDir, '.agent-lease', 'audit', 'log.jsonl');
+  if (!fs.existsSync(logPath)) {
+    return fail('post-commit should write audit log', result.output);
+  }
+
+  const entries = fs.readFileSync(logPath, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  const entry = entries[entries.length - 1];
+  const head = run('git rev-parse HEAD').stdout.trim();
+
+  if (entry.commit !== head) {
+    return fail('audit entry should record the commit SHA', JSON.stringify(entry));
+  }
+  if (entry.topic !== 'commit' || !/^[0-9a-f]{7}$/.test(entry.proofHash || '')) {
+    return fail('audit entry should record topic and proof hash', JSON.stringify(entry));
+  }
+  if (entry.agentSummary !== 'Audited change.') {
+    return fail('audit entry should record the agent summary', JSON.stringify(entry));
+  }
+  if (!fs.existsSync(path.join(testDir, '.agent-lease', 'audit', entry.archive))) {
+    return fail('archived lock should be kept next to the log', entry.archive);
+  }
+
+  const lockDir = path.join(testDir, '.agent-lease', 'locks');
+  const leftover = fs.readdirSync(lockDir).filter(f => f.endsWith('.lock'));
+  if (leftover.length > 0) {
+    return fail('consumed lock should be moved out of the lock dir', leftover.join(', '));
+  }
+
+  pass('consumed lease archived with commit, topic, proof hash and summary');
+}
+
+function test_audit_verify() {
+  log('\n🧪 Test: audit verify detects tampering');
+
+  // Relies on the chain left by test_audit_log
+  const intact = agentLease('audit verify');
+  if (intact.status !== 0 || !intact.output.includes('Audit chain intact')) {
+    return fail('untouched chain should verify', intact.output);
+  }
+
+  const auditDir = path.join(testDir, '.agent-lease', 'audit');
+  const logPath = path.join(auditDir, 'log.jsonl');
+  const original = fs.readFileSync(logPath, 'utf8');
+  const entries = original.trim().split('\n').map(l => JSON.parse(l));
+
+  // Edited proof file
+  const release = entries.filter(e => e.event === 'release').pop();
+  const proofName = Object.keys(release.files).find(f => f.endsWith('-agent.txt'));
+  const proofPath = path.join(testDir, '.agent-lease', 'proofs', proofName);
+  const proof = fs.readFileSync(proofPath, 'utf8');
+  fs.writeFileSync(proofPath, proof.replace('PASS', 'PASS (edited)'));
+  const edited = agentLease('audit verify');
+  fs.writeFileSync(proofPath, proof);
+  if (edited.status === 0 || !edited.output.includes(`proof file ${proofName} was modified`)) {
+    return fail('edited proof file should break the chain', edited.output);
+  }
+
+  // Edited log entry
+  fs.writeFileSync(logPath, original.replace('Audited change.', 'Something else.'));
+  const rewritten = agentLease('audit verify');
+  fs.writeFileSync(logPath, original);
+  if (rewritten.status === 0 || !/AUDIT CHAIN BROKEN at line \d+/.test(rewritten.output)) {
+    return fail('edited log entry should break the chain', rewritten.output);
+  }
+
+  // Lock flipped to VALIDATED by hand
+  fs.writeFileSync(path.join(testDir, 'forged.txt'), 'forged');
+  run('git add forged.txt');
+  run('git commit -m "forged"'); // Creates lock
+  const lockDir = path.join(testDir, '.agent-lease', 'locks');
+  const lockPath = path.join(lockDir, fs.readdirSync(lockDir).find(f => f.endsWith('.lock')));
+  const lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  lock.status = 'VALIDATED';
+  fs.writeFileSync(lockPath, JSON.stringify(lock));
+  const forged = agentLease('audit verify');
+  agentLease('clear');
+  run('git commit --no-verify -m "cleanup forged"');
+  if (forged.status === 0 || !forged.output.includes('has no release record')) {
+    return fail('hand-validated lock should fail verification', forged.output);
+  }
+
+  pass('audit verify reports edited proofs, log entries and forged locks');
+}
+
 function test_llm_output_parsing() {
   log('\n🧪 Test: LLM output parsing with steering markers');
 
@@ -695,8 +809,34 @@ Some epilogue`;
 
   // Test without markers
   const noMarkerParsed = parseLLMOutput('Just some random text\nWith multiple lines');
-  if (noMarkerParsed.verdict !== null) {
-    return fail('should return null verdict without markers', `got: ${noMarkerParsed.verdict}`);
+  if (noMarkerParsed.verdict !== null || !noMarkerParsed.error) {
+    return fail('should return null verdict and an error without markers', `got: ${noMarkerParsed.verdict}`);
+  }
+
+  // Rambling counts are an error, not a silent 0
+  const rambling = parseLLMOutput(`${LLM_START}\nVERDICT: PASS\nCRITICAL: none that I saw\n${LLM_END}`);
+  if (rambling.verdict !== null || !rambling.error.includes('CRITICAL must be a number')) {
+    return fail('should reject non-numeric counts', JSON.stringify(rambling));
+  }
+
+  // JSON replies are validated against schema/verdict.schema.json
+  const json = parseLLMOutput(`${LLM_START}\n\`\`\`json\n${JSON.stringify({
+    verdict: 'FAIL',
+    findings: [
+      { severity: 'high', message: 'SQL built from user input', file: 'src/db.js', line: 42, rule: 'sql-injection' },
+      { severity: 'low', message: 'Unused variable' }
+    ],
+    summary: 'Injection risk'
+  })}\n\`\`\`\n${LLM_END}`);
+  if (json.format !== 'json' || json.verdict !== 'FAIL' || json.high !== 1 || json.low !== 1 ||
+      json.findings[0] !== '[high] src/db.js:42 SQL built from user input (sql-injection)' || json.issues[0].line !== 42) {
+    return fail('should parse a JSON verdict', JSON.stringify(json));
+  }
+
+  const invalid = parseLLMOutput(`${LLM_START}\n${JSON.stringify({ verdict: 'MAYBE', findings: [{ severity: 'major' }] })}\n${LLM_END}`);
+  if (invalid.verdict !== null || !invalid.error.includes('reply.verdict must be one of PASS, FAIL') ||
+      !invalid.error.includes('reply.findings[0].message is required') || !invalid.error.includes('reply.summary is required')) {
+    return fail('should reject a JSON verdict that breaks the schema', JSON.stringify(invalid));
   }
 
   pass('LLM output parsing works correctly');
@@ -764,6 +904,54 @@ Summary: All validations passed. Safe to commit.`;
   pass('parseAgentProof parses correctly');
 }
 
+function test_lock_format() {
+  log('\n🧪 Test: versioned JSON lock format');
+
+  const { parseLock, serializeLock, formatTrailers } = require(path.join(__dirname, '..', 'lib', 'lock-manager'));
+
+  // Legacy KEY=VALUE locks still parse (STATUS appears twice there)
+  const legacy = parseLock([
+    'LOCK_GUID=abc123',
+    'CREATED=2026-01-01T00:00:00.000Z',
+    'PROJECT=test-project',
+    'TOPIC=commit',
+    'STATUS=PENDING',
+    'AUDIT_PROOF_PASSED=2026-01-01T00:01:00.000Z',
+    'STATUS=VALIDATED',
+    'RUNNERS_COUNT=1',
+    'RUNNER_0_NAME=build',
+    'RUNNER_0_PASSED=true',
+    'GIT_TRAILER_PROOF=build:PASS',
+    'GIT_TRAILER_REPORT=commit-abc.json'
+  ].join('\n'));
+
+  if (legacy.version !== 0 || legacy.guid !== 'abc123' || legacy.status !== 'VALIDATED') {
+    return fail('should read legacy lock', JSON.stringify(legacy));
+  }
+  if (legacy.history.length !== 2 || legacy.runners[0].name !== 'build' || !legacy.runners[0].passed) {
+    return fail('legacy lock should map history and runners', JSON.stringify(legacy));
+  }
+
+  // Multi-line values survive a round trip
+  legacy.trailers.agentSummary = 'line one\nSTATUS=VALIDATED\nline three';
+  const text = serializeLock(legacy);
+  const reparsed = parseLock(text);
+  if (reparsed.version !== 1 || reparsed.trailers.agentSummary !== legacy.trailers.agentSummary) {
+    return fail('serialize/parse should round trip', text);
+  }
+
+  const trailers = formatTrailers(reparsed, { proof: 'agent-lease-proof' });
+  if (trailers[0] !== 'agent-lease-proof: build:PASS' || trailers.some(t => t.includes('\n'))) {
+    return fail('trailers should be single-line name: value pairs', trailers.join(' | '));
+  }
+
+  if (parseLock('{not json') !== null || parseLock('') !== null) {
+    return fail('unreadable lock content should parse as null', 'expected null');
+  }
+
+  pass('lock format parses, serializes and reads legacy locks');
+}
+
 // ============ MAIN ============
 
 function main() {
@@ -794,8 +982,11 @@ function main() {
     test_proof_missing_runner_rejected();
     test_proof_fail_status_rejected();
     test_agent_summary_trailer();
+    test_audit_log();
+    test_audit_verify();
     test_llm_output_parsing();
     test_parse_agent_proof();
+    test_lock_format();
 
     log('\n' + '═'.repeat(60));
     log(`\n  Results: ${passed} passed, ${failed} failed\n`);
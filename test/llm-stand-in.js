@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for LLM provider APIs, for tests of `type: "llm"` runners
+ *
+ * Answers the anthropic (/v1/messages), openai-style (/chat/completions,
+ * /v1/chat/completions) and ollama (/api/chat) endpoints with the text in
+ * <reply-file>, re-read per request so tests can change the reply between
+ * runs. A reply file holding JSON { "rules": [{ "match", "reply" }], "default" }
+ * answers with the first rule whose `match` appears in the prompt. Every
+ * request is appended to <request-log> as a JSON line: { path, headers, body }.
+ *
+ * Listens on a free port on 127.0.0.1 and writes it to <port-file> once ready.
+ *
+ * Run: node test/llm-stand-in.js <port-file> <reply-file> <request-log>
+ */
+
+const fs = require('fs');
+const http = require('http');
+
+const [portFile, replyFile, requestLog] = process.argv.slice(2);
+
+function replyText(body) {
+  const text = fs.readFileSync(replyFile, 'utf8');
+  let rules;
+  try {
+    rules = JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+  const prompt = body && body.messages ? body.messages.map(m => m.content).join('\n') : '';
+  const rule = (rules.rules || []).find(r => prompt.includes(r.match));
+  return rule ? rule.reply : rules.default;
+}
+
+function replyBody(path, text) {
+  if (path === '/v1/messages') {
+    return {
+      type: 'message',
+      role: 'assistant',
+      content: [{ type: 'text', text }],
+      usage: { input_tokens: 10, output_tokens: 5 }
+    };
+  }
+  if (path === '/api/chat') {
+    return { message: { role: 'assistant', content: text }, done: true, prompt_eval_count: 10, eval_count: 5 };
+  }
+  return {
+    choices: [{ index: 0, message: { role: 'assistant', content: text } }],
+    usage: { prompt_tokens: 10, completion_tokens: 5 }
+  };
+}
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    let body = null;
+    try {
+      body = JSON.parse(raw);
+    } catch (e) {}
+    fs.appendFileSync(requestLog, JSON.stringify({ path: req.url, headers: req.headers, body }) + '\n');
+
+    const known = ['/v1/messages', '/chat/completions', '/v1/chat/completions', '/api/chat'];
+    if (req.method !== 'POST' || !known.includes(req.url)) {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: `no route for ${req.method} ${req.url}` }));
+      return;
+    }
+
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(replyBody(req.url, replyText(body))));
+  });
+});
+
+server.listen(0, '127.0.0.1', () => {
+  fs.writeFileSync(portFile, String(server.address().port));
+});
@@ -78,7 +78,7 @@ function writeTestConfig(config) {
       const on = r.on || 'commit';
       const topicName = on === 'commit' ? 'pre-commit' : on === 'push' ? 'pre-push' : on;
       if (!v4Config.topics[topicName]) v4Config.topics[topicName] = { runners: [] };
-      v4Config.topics[topicName].runners.push({ name: r.name, command: r.command });
+      v4Config.topics[topicName].runners.push({ name: r.name, command: r.command, ...(r.args && { args: r.args }) });
     }
   }
   if (config.lockDir) {
@@ -141,6 +141,33 @@ function test_large_diff() {
 
   pass('handles 100KB+ diff');
   run('git commit -m "large"');
+
+  log('\n🧪 Stress: Large diff read from the environment');
+
+  // Too large to export: a runner reading $AGENT_LEASE_DIFF fails rather than seeing it unset
+  writeTestConfig({
+    runners: [{ name: 'env-diff', command: 'printf %s "$AGENT_LEASE_DIFF" | grep -q yyy', on: 'commit' }],
+    lockDir: 'local'
+  });
+  fs.writeFileSync('large-env.txt', 'y'.repeat(100000) + '\n');
+  run('git add large-env.txt');
+
+  const unexported = agentLease('lease pre-commit --run');
+  if (unexported.status === 0 || !unexported.output.includes('Too large to export (over 100KB): $AGENT_LEASE_DIFF. Read $AGENT_LEASE_DIFF_FILE instead')) {
+    return fail('runner reading an unexported variable should fail', unexported.output);
+  }
+
+  writeTestConfig({
+    runners: [{ name: 'file-diff', command: 'grep -q yyy "$AGENT_LEASE_DIFF_FILE"', on: 'commit' }],
+    lockDir: 'local'
+  });
+  const fromFile = agentLease('lease pre-commit --run');
+  if (fromFile.status !== 0) {
+    return fail('large diff should be readable from $AGENT_LEASE_DIFF_FILE', fromFile.output);
+  }
+
+  pass('fails runners that read a variable too large to export');
+  run('git commit -m "large env"');
 }
 
 function test_special_characters_in_diff() {
@@ -175,6 +202,42 @@ function test_special_characters_in_diff() {
 
   pass('handles special characters in diff');
   run('git commit -m "special"');
+
+  log('\n🧪 Stress: Adversarial payloads in diff and file names');
+
+  // Each runner reads the payload, {{diff}} and {{files}} bare or in quotes included, and fails unless it arrives intact
+  const payload = `'; touch pwned-quote; echo '\n$(touch pwned-subst)\n\`touch pwned-tick\`\n{{env:HOME}} {{files}}\n`;
+  writeTestConfig({
+    runners: [
+      { name: 'env', command: 'printf %s "$AGENT_LEASE_DIFF" | grep -qF \'$(touch pwned-subst)\'', on: 'commit' },
+      { name: 'file', command: 'grep -qF "pwned-tick" {{diff_file}} && grep -qF "{{env:" "$AGENT_LEASE_DIFF_FILE"', on: 'commit' },
+      { name: 'plain', command: 'printf %s {{diff}} | grep -qF "; touch pwned-quote;"', on: 'commit' },
+      { name: 'single-quoted', command: 'printf %s \'Review: {{diff}}\' | grep -qF "Review: diff --git"', on: 'commit' },
+      { name: 'double-quoted', command: 'printf %s "Review: {{diff}}" | grep -qF "Review: diff --git"', on: 'commit' },
+      { name: 'paths', command: 'for f in {{files}}; do [ -f "$f" ] || exit 1; done', on: 'commit' },
+      {
+        name: 'argv',
+        command: 'node',
+        args: ['-e', 'const [d, ...f] = process.argv.slice(1); process.exit(d.includes("\'; touch pwned-quote") && d.includes("{{" + "env:HOME}}") && f.includes("evil $(touch pwned-name).js") ? 0 : 1)', '{{diff}}', '{{files}}'],
+        on: 'commit'
+      }
+    ],
+    lockDir: 'local'
+  });
+  fs.writeFileSync('evil $(touch pwned-name).js', payload);
+  run('git add "evil \\$(touch pwned-name).js"');
+
+  const adversarial = agentLease('lease pre-commit --run');
+  const pwned = fs.readdirSync(testDir).filter(f => f.startsWith('pwned'));
+  if (pwned.length > 0) {
+    return fail('payload should never be executed', pwned.join(', '));
+  }
+  if (adversarial.status !== 0) {
+    return fail('runners should receive the payload intact', adversarial.output);
+  }
+
+  pass('delivers adversarial payloads without shell injection');
+  run('git commit -m "adversarial"');
 }
 
 function test_concurrent_commits() {
@@ -200,6 +263,74 @@ function test_concurrent_commits() {
   }
 
   pass('handles rapid sequential commits');
+
+  log('\n🧪 Stress: Concurrent agents racing on one lock');
+
+  fs.writeFileSync('race.txt', 'race');
+  run('git add race.txt');
+
+  const locksDir = path.join(testDir, '.agent-lease', 'locks');
+  const lockFiles = () => fs.readdirSync(locksDir).filter(f => f.endsWith('.lock'));
+  agentLease('clear');
+
+  // Five agents hit the gate at once: exactly one lock, created once
+  run(`for i in 1 2 3 4 5; do node ${AGENT_LEASE_BIN} lease pre-commit >/dev/null 2>&1 & done; wait`, {
+    env: { AGENT_LEASE_AGENT_ID: 'agent-a' }
+  });
+  const locks = lockFiles();
+  if (locks.length !== 1) {
+    return fail('concurrent gates should create exactly one lock', locks.join(', '));
+  }
+  const lockPath = path.join(locksDir, locks[0]);
+  const readLock = () => JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  const { owner } = readLock();
+  if (!owner || owner.agent !== 'agent-a' || !owner.pid || owner.host !== os.hostname()) {
+    return fail('lock should record its owner', JSON.stringify(owner));
+  }
+  if (fs.readdirSync(locksDir).some(f => f.endsWith('.tmp') || f.endsWith('.mutex'))) {
+    return fail('no temp files or mutexes should be left behind', fs.readdirSync(locksDir).join(', '));
+  }
+
+  // A different agent can't stamp agent-a's lock
+  const proof = `Runner: fast\nStatus: PASS\nOutput: fast ${readLock().nonce}\nSummary: done`;
+  const foreign = agentLease(`lease pre-commit --audit-proof='${proof}'`, {
+    env: { AGENT_LEASE_AGENT_ID: 'agent-b' }
+  });
+  if (foreign.status === 0 || !foreign.output.includes('owned by agent-a')) {
+    return fail('foreign release should be refused', foreign.output);
+  }
+  if (readLock().status !== 'PENDING') {
+    return fail('refused release must not stamp the lock', JSON.stringify(readLock()));
+  }
+
+  // Owner releases race each other: exactly one stamp wins
+  const racers = run(
+    `for i in 1 2 3 4 5; do node ${AGENT_LEASE_BIN} lease pre-commit --audit-proof='${proof}' & done; wait`,
+    { env: { AGENT_LEASE_AGENT_ID: 'agent-a' } }
+  );
+  const stamped = readLock();
+  const stamps = stamped.history.filter(h => h.status === 'VALIDATED').length;
+  if (stamps !== 1) {
+    return fail('concurrent releases should stamp exactly once', JSON.stringify(stamped.history) + racers.output);
+  }
+
+  // --force lets another agent take over
+  agentLease('clear');
+  agentLease('lease pre-commit', { env: { AGENT_LEASE_AGENT_ID: 'agent-a' } });
+  const forcedProof = `Runner: fast\nStatus: PASS\nOutput: fast ${readLock().nonce}\nSummary: done`;
+  const forced = agentLease(`lease pre-commit --force --audit-proof='${forcedProof}'`, {
+    env: { AGENT_LEASE_AGENT_ID: 'agent-b' }
+  });
+  if (forced.status !== 0 || !readLock().release.forced) {
+    return fail('--force should stamp a foreign lock', forced.output);
+  }
+
+  const commit = run('git commit -m "race"');
+  if (commit.status !== 0) {
+    return fail('commit should succeed after forced release', commit.output);
+  }
+
+  pass('concurrent agents: one lock, one stamp, owner enforced');
 }
 
 function test_runner_timeout() {
@@ -10,7 +10,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync, spawnSync } = require('child_process');
+const { execSync, spawn, spawnSync } = require('child_process');
 const os = require('os');
 
 const AGENT_LEASE_BIN = path.join(__dirname, '..', 'bin', 'agent-lease.js');
@@ -77,11 +77,69 @@ function initProject(config) {
   writeConfig(config);
 }
 
+// Proof has to echo the gate's challenge nonce in every runner's Output: line
+function withNonce(proofText, gate) {
+  const match = gate.output.match(/al-[0-9a-f]{16}/);
+  const nonce = match ? match[0] : '';
+  const lines = [];
+  proofText.split('\n').forEach((line, i, all) => {
+    if (line.startsWith('Output:')) {
+      lines.push(`${line} ${nonce}`);
+      return;
+    }
+    lines.push(line);
+    if (line.startsWith('Status:') && !(all[i + 1] || '').startsWith('Output:')) {
+      lines.push(`Output: ${nonce}`);
+    }
+  });
+  return lines.join('\n');
+}
+
 function stageFile(name, content) {
   fs.writeFileSync(path.join(testDir, `${name}.txt`), content || name);
   run(`git add ${name}.txt`);
 }
 
+// Stand-in LLM provider (test/llm-stand-in.js); the sync tests block, so it runs as its own process
+function startLLMStandIn() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-lease-llm-'));
+  const portFile = path.join(dir, 'port');
+  const replyFile = path.join(dir, 'reply.txt');
+  const requestLog = path.join(dir, 'requests.jsonl');
+  const server = spawn(process.execPath, [path.join(__dirname, 'llm-stand-in.js'), portFile, replyFile, requestLog], { stdio: 'ignore' });
+
+  for (let waited = 0; !fs.existsSync(portFile) && waited < 5000; waited += 50) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 50);
+  }
+
+  return {
+    baseUrl: fs.existsSync(portFile) ? `http://127.0.0.1:${fs.readFileSync(portFile, 'utf8')}` : null,
+    reply: text => fs.writeFileSync(replyFile, typeof text === 'string' ? text : JSON.stringify(text)),
+    requests: () => fs.existsSync(requestLog)
+      ? fs.readFileSync(requestLog, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+      : [],
+    stop: () => {
+      process.kill(server.pid);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Reply in the steering format
+function llmReply(verdict, { findings = [], low = 0, summary = verdict === 'PASS' ? 'looks fine' : 'needs work' } = {}) {
+  return [
+    'Looked at the change.',
+    '<AGENT_LEASE_START>',
+    `VERDICT: ${verdict}`,
+    `HIGH: ${findings.length}`,
+    `LOW: ${low}`,
+    'FINDINGS:',
+    ...findings.map(f => `- ${f}`),
+    `SUMMARY: ${summary}`,
+    '<AGENT_LEASE_END>'
+  ].join('\n');
+}
+
 // ============ TESTS ============
 
 function test_lease_deny_release() {
@@ -115,7 +173,7 @@ function test_lease_deny_release() {
 
   // RELEASE: lease pre-commit --audit-proof should release
   const proofText = 'Runner: build\nStatus: PASS\nOutput: ok\nSummary: All good';
-  const release = agentLease(`lease pre-commit --audit-proof='${proofText}'`);
+  const release = agentLease(`lease pre-commit --audit-proof='${withNonce(proofText, deny)}'`);
   if (release.status !== 0) {
     return fail('lease release should exit 0', release.output);
   }
@@ -159,7 +217,7 @@ function test_lease_arbitrary_topic() {
 
   // RELEASE with proof
   const proofText = 'Runner: check\nStatus: PASS\nOutput: custom-ok\nSummary: Custom gate passed';
-  const release = agentLease(`lease my-custom-gate --audit-proof='${proofText}'`);
+  const release = agentLease(`lease my-custom-gate --audit-proof='${withNonce(proofText, deny)}'`);
   if (release.status !== 0) {
     return fail('custom topic release should exit 0', release.output);
   }
@@ -192,7 +250,7 @@ function test_backward_compat_commit() {
 
   // Release via commit alias with proof
   const proofText = 'Runner: build\nStatus: PASS\nOutput: ok\nSummary: done';
-  const release = agentLease(`commit --audit-proof='${proofText}'`);
+  const release = agentLease(`commit --audit-proof='${withNonce(proofText, deny)}'`);
   if (release.status !== 0) {
     return fail('commit alias release should work', release.output);
   }
@@ -221,15 +279,55 @@ function test_backward_compat_push() {
 
   // Release via push alias with proof
   const proofText = 'Runner: review\nStatus: PASS\nOutput: ok\nSummary: done';
-  const release = agentLease(`push --audit-proof='${proofText}'`);
+  const release = agentLease(`push --audit-proof='${withNonce(proofText, deny)}'`);
   if (release.status !== 0) {
     return fail('push alias release should work', release.output);
   }
 
+  // git has no post-push hook, so the passing gate archives the lease itself
+  const gate = agentLease('push');
+  if (gate.status !== 0) {
+    return fail('push gate should pass after release', gate.output);
+  }
+  const logPath = path.join(testDir, '.agent-lease', 'audit', 'log.jsonl');
+  const entry = fs.existsSync(logPath) && JSON.parse(fs.readFileSync(logPath, 'utf8').trim().split('\n').pop());
+  if (!entry || entry.topic !== 'push' || entry.commit !== run('git rev-parse HEAD').stdout.trim()) {
+    return fail('passing push gate should archive the lease', JSON.stringify(entry));
+  }
+
   pass('push backward compat works');
   agentLease('clear');
 }
 
+function test_archive_same_millisecond() {
+  log('\nTest: leases archived in the same millisecond keep separate archives');
+
+  const { createLock, archiveLock, readAuditLog } = require(path.join(__dirname, '..', 'lib', 'lock-manager'));
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-lease-archive-'));
+  const now = Date.now;
+  try {
+    // Two lock dirs, so two leases of one topic each hold their own mutex
+    const first = createLock('archive-test', path.join(root, 'locks-a'), 'pre-commit');
+    const second = createLock('archive-test', path.join(root, 'locks-b'), 'pre-commit');
+    const frozen = now();
+    Date.now = () => frozen;
+    const a = archiveLock('archive-test', path.join(root, 'locks-a'), root, 'pre-commit', { lockPath: first.lockPath });
+    const b = archiveLock('archive-test', path.join(root, 'locks-b'), root, 'pre-commit', { lockPath: second.lockPath });
+    Date.now = now;
+
+    const guids = [a.archivePath, b.archivePath].map(p => JSON.parse(fs.readFileSync(p, 'utf8')).guid);
+    const entries = readAuditLog(root);
+    if (a.archivePath === b.archivePath || guids[0] !== first.guid || guids[1] !== second.guid ||
+        entries.length !== 2 || entries[0].archive === entries[1].archive) {
+      return fail('a second archive in the same millisecond should not overwrite the first', JSON.stringify(entries));
+    }
+    pass('same-millisecond archives get distinct files and audit entries');
+  } finally {
+    Date.now = now;
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
 function test_config_resolution_chain() {
   log('\nTest: config resolution chain (CLI > config.json > pkg.json > .agent-lease.json)');
 
@@ -293,7 +391,7 @@ function test_config_resolution_chain() {
 
   // Verify proof would need 'from-cli' runner (not others)
   const proofForCli = 'Runner: from-cli\nStatus: PASS\nOutput: ok\nSummary: done';
-  const releaseResult = agentLease(`lease pre-commit --config ${cliConfigPath} --audit-proof='${proofForCli}'`);
+  const releaseResult = agentLease(`lease pre-commit --config ${cliConfigPath} --audit-proof='${withNonce(proofForCli, denyResult)}'`);
   if (releaseResult.status !== 0) {
     return fail('CLI config runner should be accepted', releaseResult.output);
   }
@@ -551,7 +649,7 @@ function test_multiple_topics_independent() {
   stageFile('multi-test');
 
   // Create locks for two different topics
-  agentLease('lease pre-commit');
+  const gate = agentLease('lease pre-commit');
   agentLease('lease deploy-prod');
 
   // Both should have locks
@@ -567,7 +665,7 @@ function test_multiple_topics_independent() {
 
   // Release only pre-commit
   const proofText = 'Runner: build\nStatus: PASS\nOutput: ok\nSummary: done';
-  agentLease(`lease pre-commit --audit-proof='${proofText}'`);
+  agentLease(`lease pre-commit --audit-proof='${withNonce(proofText, gate)}'`);
 
   // pre-commit should be released, deploy-prod should still be locked
   const afterCommit = agentLease('lease pre-commit');
@@ -694,6 +792,1437 @@ function test_template_vars_topic_aware() {
   run('git commit --no-verify -m "cleanup tvar" 2>/dev/null || true');
 }
 
+function test_lease_bound_to_staged_tree() {
+  log('\nTest: released lease is bound to the staged tree');
+
+  initProject({
+    topics: {
+      'pre-commit': ['build']
+    },
+    runners: [{ name: 'build', command: 'echo ok' }],
+    lockDir: 'local'
+  });
+
+  stageFile('bound-validated');
+  const gate = agentLease('lease pre-commit');
+
+  const proofText = 'Runner: build\nStatus: PASS\nOutput: ok\nSummary: done';
+  agentLease(`lease pre-commit --audit-proof='${withNonce(proofText, gate)}'`);
+
+  const locksDir = path.join(testDir, '.agent-lease', 'locks');
+  const lockFile = fs.readdirSync(locksDir).find(f => f.endsWith('.lock'));
+  const tree = execSync('git write-tree', { cwd: testDir, encoding: 'utf8' }).trim();
+  const lockContent = fs.readFileSync(path.join(locksDir, lockFile), 'utf8');
+  if (JSON.parse(lockContent).binding.tree !== tree) {
+    return fail('release should record the staged tree', lockContent);
+  }
+
+  // Same staged content: lease still valid
+  const same = agentLease('lease pre-commit');
+  if (same.status !== 0) {
+    return fail('lease should pass for the validated tree', same.output);
+  }
+
+  // Stage something else: lease no longer covers the index
+  stageFile('bound-sneaky');
+  const changed = agentLease('lease pre-commit');
+  if (changed.status === 0) {
+    return fail('lease should be rejected after staging new changes', changed.output);
+  }
+  if (!changed.output.includes('STALE LEASE')) {
+    return fail('should explain the lease is stale', changed.output);
+  }
+
+  // Re-validating the new tree releases it again
+  const release = agentLease(`lease pre-commit --audit-proof='${withNonce(proofText, changed)}'`);
+  if (release.status !== 0) {
+    return fail('stale lease should be re-releasable', release.output);
+  }
+  const after = agentLease('lease pre-commit');
+  if (after.status !== 0) {
+    return fail('lease should pass after re-validation', after.output);
+  }
+
+  pass('lease is bound to the staged tree');
+  agentLease('clear');
+  run('git commit --no-verify -m "cleanup bound"');
+}
+
+function test_push_lease_bound_to_pushed_refs() {
+  log('\nTest: push lease is bound to the refs git hands the pre-push hook');
+
+  initProject({
+    topics: { 'pre-push': ['check'] },
+    runners: [{ name: 'check', command: 'echo ok' }],
+    lockDir: 'local'
+  });
+
+  const head = execSync('git rev-parse HEAD', { cwd: testDir, encoding: 'utf8' }).trim();
+  const zero = '0'.repeat(40);
+  const pushTo = ref => ({ env: { AGENT_LEASE_PUSH_REFS: `refs/heads/topic ${head} ${ref} ${zero}\n` } });
+  const locksDir = path.join(testDir, '.agent-lease', 'locks');
+
+  try {
+    // The hook's gate records the announced refs; the agent's release (no stdin) binds to them
+    const proofText = 'Runner: check\nStatus: PASS\nOutput: ok\nSummary: done';
+    const gateAndRelease = () => {
+      const gate = agentLease('lease pre-push', pushTo('refs/heads/topic'));
+      return agentLease(`lease pre-push --audit-proof='${withNonce(proofText, gate)}'`);
+    };
+    const release = gateAndRelease();
+    const lock = JSON.parse(fs.readFileSync(path.join(locksDir, fs.readdirSync(locksDir).find(f => f.endsWith('.lock'))), 'utf8'));
+    if (release.status !== 0 || lock.binding.range !== `refs/heads/topic=${zero}..${head}`) {
+      return fail('release should bind to the refs the push announced', release.output + JSON.stringify(lock.binding));
+    }
+
+    const same = agentLease('lease pre-push', pushTo('refs/heads/topic'));
+    if (same.status !== 0) {
+      return fail('the same push should pass', same.output);
+    }
+
+    // Same commits to another ref: not what was validated (the push above consumed the lease)
+    gateAndRelease();
+    const other = agentLease('lease pre-push', pushTo('refs/heads/main'));
+    if (other.status === 0 || !other.output.includes('STALE LEASE')) {
+      return fail('a push of other refs should find the lease stale', other.output);
+    }
+
+    pass('push lease is bound to the pushed refs');
+  } finally {
+    agentLease('clear');
+  }
+}
+
+function test_lease_ttl_expiry() {
+  log('\nTest: released lease expires after topic ttl');
+
+  const { parseDuration } = require(path.join(__dirname, '..', 'lib', 'config'));
+  if (parseDuration('15m') !== 900000 || parseDuration('2h') !== 7200000 || parseDuration(30) !== 30000) {
+    return fail('parseDuration should handle m/h/seconds', `${parseDuration('15m')} ${parseDuration('2h')} ${parseDuration(30)}`);
+  }
+  for (const typo of ['soon', '15min', '15 minutes', 0, -5]) {
+    try {
+      parseDuration(typo);
+      return fail('unparseable durations should throw', JSON.stringify(typo));
+    } catch (e) {}
+  }
+
+  initProject({
+    topics: {
+      'pre-commit': { ttl: '1s', runners: ['build'] }
+    },
+    runners: [{ name: 'build', command: 'echo ok' }],
+    lockDir: 'local'
+  });
+
+  stageFile('ttl-test');
+  const gate = agentLease('lease pre-commit');
+
+  const proofText = 'Runner: build\nStatus: PASS\nOutput: ok\nSummary: done';
+  agentLease(`lease pre-commit --audit-proof='${withNonce(proofText, gate)}'`);
+
+  const fresh = agentLease('lease pre-commit');
+  if (fresh.status !== 0) {
+    return fail('fresh lease should pass', fresh.output);
+  }
+
+  execSync('sleep 1.5');
+
+  const status = agentLease('status --topic pre-commit');
+  if (!status.output.includes('Lease expired')) {
+    return fail('status should report expired lease', status.output);
+  }
+
+  const expired = agentLease('lease pre-commit');
+  if (expired.status === 0) {
+    return fail('expired lease should re-gate', expired.output);
+  }
+  if (!expired.output.includes('EXPIRED LEASE')) {
+    return fail('should explain the lease expired', expired.output);
+  }
+
+  const relock = agentLease('status --topic pre-commit');
+  if (!relock.output.includes('Validation required')) {
+    return fail('expired lease should be replaced by a pending lock', relock.output);
+  }
+
+  // A typo must not mean "never expires" or "no timeout"
+  agentLease('clear');
+  writeConfig({ topics: { 'pre-commit': { ttl: '15min', runners: ['build'] } }, runners: [{ name: 'build', command: 'echo ok' }], lockDir: 'local' });
+  const badTtl = agentLease('lease pre-commit');
+  if (badTtl.status === 0 || !badTtl.output.includes('ttl for topic pre-commit: Invalid duration "15min"')) {
+    return fail('an unparseable ttl should be rejected', badTtl.output);
+  }
+  writeConfig({ topics: { 'pre-commit': { runners: ['build'] } }, runners: [{ name: 'build', command: 'echo ok', timeout: '5 minutes' }], lockDir: 'local' });
+  const badTimeout = agentLease('lease pre-commit --run');
+  if (badTimeout.status === 0 || !badTimeout.output.includes('timeout for runner build: Invalid duration "5 minutes"')) {
+    return fail('an unparseable runner timeout should be rejected', badTimeout.output);
+  }
+  // Every command that loads the config reports it in one line, not a stack trace
+  for (const cmd of ['status', 'runners', 'clear', 'trailers', 'archive']) {
+    const result = agentLease(cmd);
+    if (result.status === 0 || !result.output.includes('Error: timeout for runner build') || result.output.includes('    at ')) {
+      return fail(`${cmd} should report a bad config in one line`, result.output);
+    }
+  }
+  writeConfig({ topics: { 'pre-commit': { ttl: '15min', runners: ['build'] } }, runners: [{ name: 'build', command: 'echo ok' }], lockDir: 'local' });
+  const badTtlStatus = agentLease('status');
+  if (badTtlStatus.status === 0 || !badTtlStatus.output.includes('Error: ttl for topic pre-commit') || badTtlStatus.output.includes('    at ')) {
+    return fail('status should report a bad ttl in one line', badTtlStatus.output);
+  }
+  writeConfig({ topics: { 'pre-commit': { ttl: '1s', runners: ['build'] } }, runners: [{ name: 'build', command: 'echo ok' }], lockDir: 'local' });
+
+  pass('lease ttl expiry re-gates');
+  agentLease('clear');
+  run('git commit --no-verify -m "cleanup ttl"');
+}
+
+function test_signed_leases() {
+  log('\nTest: leases are HMAC-signed when a signing key is readable');
+
+  const configHome = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-lease-key-'));
+  fs.mkdirSync(path.join(configHome, 'agent-lease'));
+  fs.writeFileSync(path.join(configHome, 'agent-lease', 'key'), 'test-signing-key\n');
+  const withKey = { env: { XDG_CONFIG_HOME: configHome } };
+
+  initProject({
+    runners: [{ name: 'build', command: 'echo ok' }],
+    lockDir: 'local'
+  });
+
+  const lockFile = () => {
+    const lockDir = path.join(testDir, '.agent-lease', 'locks');
+    return path.join(lockDir, fs.readdirSync(lockDir).find(f => f.endsWith('.lock')));
+  };
+  const proofText = 'Runner: build\nStatus: PASS\nOutput: ok\nSummary: done';
+
+  try {
+    stageFile('signed-test');
+    const gate = agentLease('lease pre-commit', withKey);
+    agentLease(`lease pre-commit --audit-proof='${withNonce(proofText, gate)}'`, withKey);
+
+    const lock = JSON.parse(fs.readFileSync(lockFile(), 'utf8'));
+    if (!/^[0-9a-f]{64}$/.test(lock.signature || '')) {
+      return fail('release should sign the lock', JSON.stringify(lock.signature));
+    }
+    const signed = agentLease('lease pre-commit', withKey);
+    if (signed.status !== 0) {
+      return fail('signed lease should pass', signed.output);
+    }
+
+    // Hand-edited after signing
+    lock.runners = [{ name: 'build', status: 'PASS', passed: true, note: 'edited' }];
+    fs.writeFileSync(lockFile(), JSON.stringify(lock, null, 2) + '\n');
+    const edited = agentLease('lease pre-commit', withKey);
+    if (edited.status === 0 || !edited.output.includes('FORGED LEASE')) {
+      return fail('edited lock should be rejected', edited.output);
+    }
+
+    // Flipped to VALIDATED without going through release
+    const pending = JSON.parse(fs.readFileSync(lockFile(), 'utf8'));
+    pending.status = 'VALIDATED';
+    pending.binding = { tree: run('git write-tree').stdout.trim() };
+    fs.writeFileSync(lockFile(), JSON.stringify(pending, null, 2) + '\n');
+    const unsigned = agentLease('lease pre-commit', withKey);
+    if (unsigned.status === 0 || !unsigned.output.includes('UNSIGNED LEASE')) {
+      return fail('unsigned lock should be rejected', unsigned.output);
+    }
+
+    // requireSignature without a readable key: release refuses to stamp
+    writeConfig({
+      runners: [{ name: 'build', command: 'echo ok' }],
+      lockDir: 'local',
+      requireSignature: true
+    });
+    const noKey = { env: { XDG_CONFIG_HOME: path.join(configHome, 'missing') } };
+    const refused = agentLease(`lease pre-commit --audit-proof='${withNonce(proofText, unsigned)}'`, noKey);
+    if (refused.status === 0 || !refused.output.includes('Signing key not readable')) {
+      return fail('release without key should be refused under requireSignature', refused.output);
+    }
+
+    pass('signed leases reject forged, unsigned and unverifiable releases');
+  } finally {
+    fs.rmSync(configHome, { recursive: true, force: true });
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup signed"');
+  }
+}
+
+function test_lease_run_modes() {
+  log('\nTest: --run and execute/hybrid modes stamp leases from runner exit codes');
+
+  const marker = path.join(testDir, 'lint-should-fail');
+  initProject({
+    topics: {
+      'pre-commit': { runners: ['build', 'lint'], mode: 'execute' },
+      'hybrid-check': { runners: ['build'], mode: 'hybrid' },
+      'attest-check': ['build']
+    },
+    runners: [
+      { name: 'build', command: 'echo built {{args}}' },
+      { name: 'lint', command: `test ! -e ${marker}` }
+    ],
+    lockDir: 'local'
+  });
+
+  const lockFile = (topic) => {
+    const lockDir = path.join(testDir, '.agent-lease', 'locks');
+    return path.join(lockDir, fs.readdirSync(lockDir).find(f => f.includes(topic) && f.endsWith('.lock')));
+  };
+
+  try {
+    // Execute mode: the gate runs the runners itself and blocks on a failing exit code
+    stageFile('run-mode-test');
+    fs.writeFileSync(marker, '');
+    const blocked = agentLease('lease pre-commit');
+    if (blocked.status === 0 || !blocked.output.includes('RUNNER FAILED - lint')) {
+      return fail('execute-mode gate should block on a failing runner', blocked.output);
+    }
+
+    // Proof text can't talk its way past an execute-mode topic
+    const claimed = agentLease(`lease pre-commit --audit-proof='Runner: build\nStatus: PASS\nRunner: lint\nStatus: PASS'`);
+    if (claimed.status === 0) {
+      return fail('execute mode should ignore proof text and run the runners', claimed.output);
+    }
+
+    fs.unlinkSync(marker);
+    const gate = agentLease('lease pre-commit');
+    if (gate.status !== 0) {
+      return fail('execute-mode gate should pass once runners pass', gate.output);
+    }
+    const lock = JSON.parse(fs.readFileSync(lockFile('commit'), 'utf8'));
+    const names = (lock.runners || []).map(r => `${r.name}:${r.status}`).join(' ');
+    if (lock.status !== 'VALIDATED' || names !== 'build:PASS lint:PASS') {
+      return fail('execute mode should stamp the lock from runner results', JSON.stringify(lock));
+    }
+
+    // --run on an attest topic releases without a gate run first, passing positional args through
+    const ran = agentLease('lease attest-check --run extra-arg');
+    if (ran.status !== 0 || !ran.output.includes('attest-check lock released')) {
+      return fail('--run should release an attest topic from runner results', ran.output);
+    }
+    if (agentLease('lease attest-check').status !== 0) {
+      return fail('lease released by --run should be honoured by the gate', '');
+    }
+
+    // Hybrid mode needs proof, and the runners must confirm it
+    const hybridGate = agentLease('lease hybrid-check');
+    const noProof = agentLease('lease hybrid-check --audit-proof');
+    if (noProof.status === 0) {
+      return fail('hybrid mode should not release without proof', noProof.output);
+    }
+    const hybrid = agentLease(`lease hybrid-check --audit-proof='${withNonce('Runner: build\nStatus: PASS', hybridGate)}'`);
+    if (hybrid.status !== 0 || !hybrid.output.includes('Spot-checked: build')) {
+      return fail('hybrid mode should accept proof confirmed by runners', hybrid.output);
+    }
+
+    // Unknown modes are a config error, not a silent fallback
+    writeConfig({
+      topics: { 'pre-commit': { runners: ['build'], mode: 'trust-me' } },
+      runners: [{ name: 'build', command: 'echo ok' }],
+      lockDir: 'local'
+    });
+    const bad = agentLease('lease pre-commit');
+    if (bad.status === 0 || !bad.output.includes('Unknown mode "trust-me"')) {
+      return fail('unknown mode should be rejected', bad.output);
+    }
+
+    pass('--run and execute/hybrid modes release from real exit codes');
+  } finally {
+    fs.rmSync(marker, { force: true });
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup run modes"');
+  }
+}
+
+function test_hybrid_spot_check() {
+  log('\nTest: hybrid mode spot-checks claimed runners and records the outcome');
+
+  initProject({
+    topics: {
+      'pre-commit': { runners: ['build', 'lint', 'review'], mode: 'hybrid' }
+    },
+    runners: [
+      { name: 'build', command: 'echo ok' },
+      { name: 'lint', command: 'echo "2 problems" && exit 1' },
+      { name: 'review', command: 'exit 1', llm: true }
+    ],
+    lockDir: 'local'
+  });
+  const proofText = 'Runner: build\nStatus: PASS\nRunner: lint\nStatus: PASS\nRunner: review\nStatus: PASS\nSummary: all good';
+
+  try {
+    stageFile('spot-check-test');
+    const gate = agentLease('lease pre-commit');
+
+    // lint is deterministic and actually fails: the claim is caught
+    const lied = agentLease(`lease pre-commit --audit-proof='${withNonce(proofText, gate)}'`);
+    if (lied.status === 0 || !lied.output.includes('claimed PASS, actually FAIL')) {
+      return fail('hybrid mode should reject a PASS claim that re-runs as FAIL', lied.output);
+    }
+    if (!lied.output.includes('- lint: claimed PASS') || !lied.output.includes('+ lint: actually FAIL') ||
+        !lied.output.includes('2 problems') || lied.output.includes('review: actually')) {
+      return fail('rejection should diff only the deterministic runner that failed', lied.output);
+    }
+
+    // Once lint passes, the LLM review is trusted (not deterministic) and the outcome is recorded
+    writeConfig({
+      topics: {
+        'pre-commit': { runners: ['build', 'lint', 'review'], mode: 'hybrid' }
+      },
+      runners: [
+        { name: 'build', command: 'echo ok' },
+        { name: 'lint', command: 'echo ok' },
+        { name: 'review', command: 'exit 1', llm: true }
+      ],
+      lockDir: 'local'
+    });
+    const accepted = agentLease(`lease pre-commit --audit-proof='${withNonce(proofText, gate)}'`);
+    if (accepted.status !== 0 || !accepted.output.includes('Spot-checked: build, lint')) {
+      return fail('hybrid mode should accept proof its spot-check confirms', accepted.output);
+    }
+
+    const lockDir = path.join(testDir, '.agent-lease', 'locks');
+    const lock = JSON.parse(fs.readFileSync(path.join(lockDir, fs.readdirSync(lockDir).find(f => f.endsWith('.lock'))), 'utf8'));
+    const report = JSON.parse(fs.readFileSync(path.join(testDir, '.agent-lease', 'proofs', lock.proofs.report), 'utf8'));
+    const v = report.verification || {};
+    const checked = (v.checked || []).map(c => `${c.name}:${c.claimed}/${c.actual}`).join(' ');
+    if (report.proofMode !== 'hybrid' || v.verify !== 'deterministic' ||
+        checked !== 'build:PASS/PASS lint:PASS/PASS' || (v.skipped || []).join() !== 'review') {
+      return fail('proof report should record the spot-check', JSON.stringify(report));
+    }
+
+    // A numeric verify samples that many runners at random
+    agentLease('clear');
+    writeConfig({
+      topics: {
+        'pre-commit': { runners: ['build', 'lint', 'review'], mode: 'hybrid', verify: 1 }
+      },
+      runners: [
+        { name: 'build', command: 'echo ok' },
+        { name: 'lint', command: 'echo ok' },
+        { name: 'review', command: "printf '<AGENT_LEASE_START>\\nVERDICT: PASS\\n<AGENT_LEASE_END>'", llm: true }
+      ],
+      lockDir: 'local'
+    });
+    const sampleGate = agentLease('lease pre-commit');
+    const sampled = agentLease(`lease pre-commit --audit-proof='${withNonce(proofText, sampleGate)}'`);
+    const match = sampled.output.match(/Spot-checked: (.*)/);
+    if (sampled.status !== 0 || !match || match[1].split(', ').length !== 1) {
+      return fail('verify: 1 should spot-check exactly one runner', sampled.output);
+    }
+
+    pass('hybrid mode rejects contradicted claims and records the spot-check');
+  } finally {
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup spot check"');
+  }
+}
+
+function test_challenge_nonce() {
+  log('\nTest: proof must echo the lock\'s challenge nonce');
+
+  initProject({
+    topics: {
+      'pre-commit': ['build'],
+      'nonce-check': { runners: ['echo-nonce'], mode: 'execute' }
+    },
+    runners: [
+      { name: 'build', command: 'echo ok' },
+      { name: 'echo-nonce', command: 'echo "nonce=$AGENT_LEASE_NONCE arg={{nonce}}"' }
+    ],
+    lockDir: 'local'
+  });
+  const tmplDir = path.join(testDir, '.agent-lease');
+  fs.writeFileSync(path.join(tmplDir, 'pre-commit.md'), 'Echo {{nonce}} back');
+  const proofText = 'Runner: build\nStatus: PASS\nOutput: ok\nSummary: done';
+
+  try {
+    stageFile('nonce-test');
+    const gate = agentLease('lease pre-commit');
+    const nonce = (gate.output.match(/al-[0-9a-f]{16}/) || [])[0];
+    if (!nonce || !gate.output.includes(`Echo ${nonce} back`)) {
+      return fail('gate should render {{nonce}} into the template', gate.output);
+    }
+    const lockDir = path.join(testDir, '.agent-lease', 'locks');
+    const lock = JSON.parse(fs.readFileSync(path.join(lockDir, fs.readdirSync(lockDir).find(f => f.endsWith('.lock'))), 'utf8'));
+    if (lock.nonce !== nonce) {
+      return fail('lock should store the nonce it printed', JSON.stringify(lock));
+    }
+
+    // Re-gating a pending lock keeps its nonce
+    if (!agentLease('lease pre-commit').output.includes(nonce)) {
+      return fail('pending lock should keep its nonce', '');
+    }
+
+    const missing = agentLease(`lease pre-commit --audit-proof='${proofText}'`);
+    if (missing.status === 0 || !missing.output.includes('build: nonce missing')) {
+      return fail('proof without the nonce should be rejected', missing.output);
+    }
+
+    const noOutput = agentLease(`lease pre-commit --audit-proof='Runner: build\nStatus: PASS'`);
+    if (noOutput.status === 0 || !noOutput.output.includes('build: no output')) {
+      return fail('proof without runner output should be rejected', noOutput.output);
+    }
+
+    const stale = agentLease(`lease pre-commit --audit-proof='Runner: build\nStatus: PASS\nOutput: ok al-0123456789abcdef'`);
+    if (stale.status === 0 || !stale.output.includes('build: stale nonce')) {
+      return fail('proof carrying another lock\'s nonce should be rejected', stale.output);
+    }
+
+    const accepted = agentLease(`lease pre-commit --audit-proof='${withNonce(proofText, gate)}'`);
+    if (accepted.status !== 0) {
+      return fail('proof echoing the nonce should be accepted', accepted.output);
+    }
+
+    // Runners agent-lease executes see the nonce as AGENT_LEASE_NONCE and {{nonce}}
+    const ran = agentLease('lease nonce-check --run');
+    const runLock = JSON.parse(fs.readFileSync(path.join(lockDir, fs.readdirSync(lockDir).find(f => f.includes('nonce-check'))), 'utf8'));
+    const proofFile = path.join(testDir, '.agent-lease', 'proofs', `${runLock.runners[0].hash}.txt`);
+    const output = fs.existsSync(proofFile) ? fs.readFileSync(proofFile, 'utf8') : '';
+    if (ran.status !== 0 || output !== `nonce=${runLock.nonce} arg=${runLock.nonce}`) {
+      return fail('runners should get the nonce in env and commands', ran.output + output);
+    }
+
+    pass('proof must echo the current challenge nonce');
+  } finally {
+    fs.rmSync(path.join(tmplDir, 'pre-commit.md'), { force: true });
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup nonce"');
+  }
+}
+
+function test_parallel_runners() {
+  log('\nTest: parallel runners run as a dependency graph');
+
+  const config = (extra = {}) => ({
+    topics: { 'dag-check': ['lint', 'typecheck', 'build', 'report'] },
+    runners: [
+      { name: 'lint', command: 'sleep 1 && echo lint', parallel: true },
+      { name: 'typecheck', command: 'sleep 1 && echo typecheck', parallel: true },
+      { name: 'build', command: 'echo build', parallel: true, dependsOn: ['typecheck'] },
+      { name: 'report', command: 'echo report' }
+    ],
+    lockDir: 'local',
+    concurrency: 4,
+    cache: false,
+    ...extra
+  });
+  const seconds = (output, name) => {
+    const match = output.match(new RegExp(`${name}: .*\\(([\\d.]+)s, started \\+([\\d.]+)s\\)`));
+    return match ? { duration: Number(match[1]), started: Number(match[2]) } : null;
+  };
+
+  try {
+    initProject(config());
+    const ran = agentLease('lease dag-check --run');
+    const lint = seconds(ran.output, 'lint');
+    const typecheck = seconds(ran.output, 'typecheck');
+    const build = seconds(ran.output, 'build');
+    const report = seconds(ran.output, 'report');
+    if (ran.status !== 0 || !lint || !typecheck || !build || !report) {
+      return fail('dag run should pass and report per-runner timings', ran.output);
+    }
+    if (lint.started > 0.5 || typecheck.started > 0.5) {
+      return fail('independent parallel runners should start together', ran.output);
+    }
+    if (build.started < 0.9 || report.started < build.started) {
+      return fail('dependsOn and sequential runners should wait for what they follow', ran.output);
+    }
+    if (!/Critical path: (lint|typecheck) -> (build -> )?report/.test(ran.output)) {
+      return fail('should report the critical path', ran.output);
+    }
+
+    // concurrency: 1 runs one at a time
+    agentLease('clear');
+    writeConfig(config({ concurrency: 1 }));
+    const serial = agentLease('lease dag-check --run');
+    const second = seconds(serial.output, 'typecheck');
+    if (serial.status !== 0 || !second || second.started < 0.9) {
+      return fail('concurrency 1 should serialise parallel runners', serial.output);
+    }
+
+    // Cycles are a config error
+    agentLease('clear');
+    writeConfig({
+      topics: { 'dag-check': ['a', 'b'] },
+      runners: [
+        { name: 'a', command: 'echo a', parallel: true, dependsOn: ['b'] },
+        { name: 'b', command: 'echo b', parallel: true, dependsOn: ['a'] }
+      ],
+      lockDir: 'local'
+    });
+    const cycle = agentLease('lease dag-check --run');
+    if (cycle.status === 0 || !cycle.output.includes('Runner dependency cycle')) {
+      return fail('dependency cycles should be rejected', cycle.output);
+    }
+
+    // A runner that throws fails the run with its error, not a crash or a hang
+    agentLease('clear');
+    writeConfig({
+      topics: { 'dag-check': ['bad', 'slow'] },
+      runners: [
+        { name: 'bad', command: 'echo bad', parallel: true, files: [5] },
+        { name: 'slow', command: 'sleep 1 && echo slow', parallel: true }
+      ],
+      lockDir: 'local'
+    });
+    stageFile('dag-throw');
+    const thrown = agentLease('lease dag-check --run');
+    if (thrown.status === 0 || !thrown.output.includes('Error: glob.includes is not a function') || thrown.output.includes('    at ')) {
+      return fail('a runner that throws should fail the run with its error', thrown.output);
+    }
+
+    pass('parallel runners overlap, respect dependsOn and report the critical path');
+  } finally {
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup dag"');
+  }
+}
+
+function test_runner_cache() {
+  log('\nTest: passing runner results are cached by input content');
+
+  const counter = path.join(testDir, 'cache-runs');
+  initProject({
+    topics: { 'pre-commit': { runners: ['build', 'docs', 'review'], mode: 'execute' } },
+    runners: [
+      { name: 'build', command: `echo run >> ${counter} && echo built` },
+      { name: 'docs', command: `echo run >> ${counter} && echo docs`, inputs: ['docs/**/*.md'] },
+      { name: 'review', command: `echo run >> ${counter} && printf '<AGENT_LEASE_START>\\nVERDICT: PASS\\n<AGENT_LEASE_END>'`, llm: true }
+    ],
+    lockDir: 'local'
+  });
+  const runs = () => (fs.existsSync(counter) ? fs.readFileSync(counter, 'utf8').split('\n').filter(Boolean).length : 0);
+  const lockFile = () => {
+    const lockDir = path.join(testDir, '.agent-lease', 'locks');
+    return JSON.parse(fs.readFileSync(path.join(lockDir, fs.readdirSync(lockDir).find(f => f.endsWith('.lock'))), 'utf8'));
+  };
+
+  try {
+    fs.mkdirSync(path.join(testDir, 'docs'), { recursive: true });
+    fs.writeFileSync(path.join(testDir, 'docs', 'guide.md'), 'v1');
+    stageFile('cache-test');
+
+    const first = agentLease('lease pre-commit');
+    const firstLock = lockFile();
+    if (first.status !== 0 || runs() !== 3 || firstLock.runners.some(r => r.cached)) {
+      return fail('first gate should run every runner', first.output);
+    }
+
+    // Same staged tree and docs: build and docs come from the cache, the LLM review reruns
+    agentLease('clear');
+    const second = agentLease('lease pre-commit');
+    const lock = lockFile();
+    const cached = lock.runners.filter(r => r.cached).map(r => r.name).join();
+    if (second.status !== 0 || runs() !== 4 || cached !== 'build,docs') {
+      return fail('identical inputs should reuse cached passes', second.output + JSON.stringify(lock.runners));
+    }
+    const buildHash = firstLock.runners.find(r => r.name === 'build').hash;
+    if (!lock.trailers.proof.includes(`build(cached):${buildHash}`)) {
+      return fail('trailer should mark the cached result with its original hash', lock.trailers.proof);
+    }
+    const report = JSON.parse(fs.readFileSync(path.join(testDir, '.agent-lease', 'proofs', lock.proofs.report), 'utf8'));
+    if (!report.runners.find(r => r.name === 'docs').cached) {
+      return fail('report should mark cached runners', JSON.stringify(report));
+    }
+
+    // Changing a declared input reruns only that runner
+    fs.writeFileSync(path.join(testDir, 'docs', 'guide.md'), 'v2');
+    agentLease('clear');
+    agentLease('lease pre-commit');
+    const rerun = lockFile().runners.filter(r => !r.cached).map(r => r.name).join();
+    if (runs() !== 6 || rerun !== 'docs,review') {
+      return fail('changed inputs should invalidate that runner only', rerun);
+    }
+
+    // Changing the staged tree invalidates runners keyed on it
+    stageFile('cache-test-2');
+    agentLease('clear');
+    agentLease('lease pre-commit');
+    if (runs() !== 8 || lockFile().runners.find(r => r.name === 'build').cached) {
+      return fail('new staged tree should rerun tree-keyed runners', JSON.stringify(lockFile().runners));
+    }
+
+    pass('runner results are cached by command and input content');
+  } finally {
+    fs.rmSync(counter, { force: true });
+    fs.rmSync(path.join(testDir, 'docs'), { recursive: true, force: true });
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup cache"');
+  }
+}
+
+function test_file_scoped_runners() {
+  log('\nTest: runners with file filters skip changes they don\'t cover');
+
+  initProject({
+    topics: {
+      'pre-commit': ['lint-py', 'docs'],
+      'scoped-run': { runners: ['lint-py', 'docs'], mode: 'execute' }
+    },
+    runners: [
+      { name: 'lint-py', command: 'echo linting {{matchedFiles}}', files: ['**/*.py'] },
+      { name: 'docs', command: 'echo checking {{matchedFiles}}', files: ['*.txt'], ignore: ['skip-*'] }
+    ],
+    lockDir: 'local',
+    cache: false
+  });
+  const lockDir = path.join(testDir, '.agent-lease', 'locks');
+  // pre-commit locks carry no topic in their name
+  const lockFile = topic => JSON.parse(fs.readFileSync(path.join(lockDir, fs.readdirSync(lockDir).find(f =>
+    f.endsWith('.lock') && (topic === 'pre-commit' ? !f.includes('scoped-run') : f.includes(topic)))), 'utf8'));
+
+  try {
+    stageFile('scoped-test');
+    stageFile('skip-me');
+
+    // Docs-only change: lint-py is recorded as SKIPPED, docs sees only its matches
+    const ran = agentLease('lease scoped-run --run');
+    const lock = lockFile('scoped-run');
+    const lint = lock.runners.find(r => r.name === 'lint-py');
+    if (ran.status !== 0 || !lint || lint.status !== 'SKIPPED' || !lock.trailers.proof.includes('lint-py(skipped)')) {
+      return fail('runner with no matching files should be recorded as SKIPPED', ran.output + JSON.stringify(lock));
+    }
+    const docsHash = lock.runners.find(r => r.name === 'docs').hash;
+    const output = fs.readFileSync(path.join(testDir, '.agent-lease', 'proofs', `${docsHash}.txt`), 'utf8');
+    if (output !== 'checking scoped-test.txt') {
+      return fail('{{matchedFiles}} should hold only the matching paths', output);
+    }
+
+    // Attest proof may report SKIPPED for runners that don't apply
+    const gate = agentLease('lease pre-commit');
+    const wrongSkip = agentLease(`lease pre-commit --audit-proof='Runner: lint-py\nStatus: SKIPPED\nRunner: docs\nStatus: SKIPPED'`);
+    if (wrongSkip.status === 0 || !wrongSkip.output.includes('docs: scoped-test.txt')) {
+      return fail('SKIPPED should be refused for a runner whose files changed', wrongSkip.output);
+    }
+    const proof = withNonce('Runner: docs\nStatus: PASS\nOutput: ok', gate);
+    const accepted = agentLease(`lease pre-commit --audit-proof='Runner: lint-py\nStatus: SKIPPED\n${proof}'`);
+    if (accepted.status !== 0 || lockFile('pre-commit').runners.find(r => r.name === 'lint-py').status !== 'SKIPPED') {
+      return fail('SKIPPED should be accepted for a runner with no matching files', accepted.output);
+    }
+
+    pass('file-scoped runners are skipped and recorded when nothing matches');
+  } finally {
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup scoped"');
+  }
+}
+
+function test_index_isolation() {
+  log('\nTest: isolated runners validate the staged snapshot');
+
+  initProject({
+    topics: {
+      'snapshot-run': { runners: ['isolated', 'live'], mode: 'execute' },
+      'snapshot-slow': { runners: ['slow'], mode: 'execute' }
+    },
+    runners: [
+      { name: 'isolated', command: 'cat snapshot-test.txt; test ! -e untracked.txt', isolation: 'index' },
+      { name: 'live', command: 'cat snapshot-test.txt' },
+      { name: 'slow', command: 'sleep 20', isolation: 'index' }
+    ],
+    lockDir: 'local',
+    cache: false
+  });
+  const snapshots = () => fs.readdirSync(os.tmpdir()).filter(f => f.startsWith('agent-lease-snapshot-')).length;
+  const before = snapshots();
+
+  try {
+    stageFile('snapshot-test', 'staged');
+    fs.writeFileSync(path.join(testDir, 'snapshot-test.txt'), 'unstaged');
+    fs.writeFileSync(path.join(testDir, 'untracked.txt'), 'untracked');
+
+    const ran = agentLease('lease snapshot-run --run');
+    const lockDir = path.join(testDir, '.agent-lease', 'locks');
+    const lock = JSON.parse(fs.readFileSync(path.join(lockDir, fs.readdirSync(lockDir).find(f => f.includes('snapshot-run'))), 'utf8'));
+    const output = name => fs.readFileSync(path.join(testDir, '.agent-lease', 'proofs', `${lock.runners.find(r => r.name === name).hash}.txt`), 'utf8');
+    if (ran.status !== 0 || output('isolated') !== 'staged' || output('live') !== 'unstaged') {
+      return fail('isolated runner should see only staged content', ran.output);
+    }
+    if (fs.readFileSync(path.join(testDir, 'snapshot-test.txt'), 'utf8') !== 'unstaged' || !fs.existsSync(path.join(testDir, 'untracked.txt'))) {
+      return fail('working tree should be left untouched', '');
+    }
+    if (snapshots() !== before) {
+      return fail('snapshot should be removed after the runner', '');
+    }
+
+    // Interrupted mid-run: the snapshot is still removed
+    const interrupted = spawnSync('node', [AGENT_LEASE_BIN, 'lease', 'snapshot-slow', '--run'], {
+      cwd: testDir, encoding: 'utf8', timeout: 2000, killSignal: 'SIGTERM'
+    });
+    if (interrupted.status === 0 || snapshots() !== before) {
+      return fail('snapshot should be removed when the gate is interrupted', `${interrupted.status} ${snapshots()}`);
+    }
+
+    pass('isolated runners see the staged tree and always clean up');
+  } finally {
+    fs.rmSync(path.join(testDir, 'untracked.txt'), { force: true });
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup snapshot"');
+  }
+}
+
+function test_runner_timeouts_and_retries() {
+  log('\nTest: per-runner timeouts and retries');
+
+  const counter = path.join(testDir, 'retry-count');
+  initProject({
+    topics: {
+      'retry-run': { runners: ['flaky'], mode: 'execute' },
+      'timeout-run': { runners: ['slow'], mode: 'execute' },
+      'stubborn-run': { runners: ['stubborn'], mode: 'execute' },
+      'llm-timeout-run': { runners: ['slow-review'], mode: 'execute' },
+      'no-retry-run': { runners: ['broken'], mode: 'execute' }
+    },
+    runners: [
+      {
+        name: 'flaky',
+        command: `echo x >> ${counter}; [ $(wc -l < ${counter}) -ge 2 ] || { echo ECONNRESET; exit 3; }; echo ok`,
+        retries: 2,
+        retryOn: ['ECONNRESET']
+      },
+      { name: 'slow', command: 'sleep 5 | cat', timeout: '1s' },
+      { name: 'stubborn', command: "trap '' TERM; sleep 20", timeout: '1s' },
+      {
+        name: 'slow-review',
+        command: "printf '%s\\n' '<AGENT_LEASE_START>' 'VERDICT: PASS' 'SUMMARY: fine' '<AGENT_LEASE_END>'; sleep 30",
+        llm: true,
+        timeout: '1s'
+      },
+      { name: 'broken', command: `echo x >> ${counter}; exit 4`, retries: 3, retryOn: [3] }
+    ],
+    lockDir: 'local',
+    cache: false
+  });
+  const lockDir = path.join(testDir, '.agent-lease', 'locks');
+
+  try {
+    stageFile('retry-test');
+
+    // Passes on the second attempt: released, but the retry is on record
+    const flaky = agentLease('lease retry-run --run');
+    const lock = JSON.parse(fs.readFileSync(path.join(lockDir, fs.readdirSync(lockDir).find(f => f.includes('retry-run'))), 'utf8'));
+    const entry = lock.runners[0];
+    if (flaky.status !== 0 || entry.attempts !== 2 || !entry.flaky || !/flaky\([\d.]+s,attempts=2\)/.test(lock.trailers.proof)) {
+      return fail('flaky runner should pass on retry and record its attempts', flaky.output + JSON.stringify(lock));
+    }
+    const report = JSON.parse(fs.readFileSync(path.join(testDir, '.agent-lease', 'proofs', lock.proofs.report), 'utf8'));
+    const attempts = report.runners[0].attempts || [];
+    if (attempts.map(a => a.status).join() !== 'FAIL,PASS' || attempts[0].exitCode !== 3 || !flaky.output.includes('FLAKY')) {
+      return fail('report should list each attempt', JSON.stringify(report));
+    }
+
+    // A runner past its timeout is stopped (children included) and reported as TIMEOUT
+    const started = Date.now();
+    const slow = agentLease('lease timeout-run --run');
+    if (slow.status === 0 || !slow.output.includes('TIMEOUT: Timed out after 1.0s') || Date.now() - started > 4000) {
+      return fail('runner should time out as TIMEOUT', slow.output);
+    }
+
+    // One that ignores SIGTERM is killed after a grace period
+    const stubbornStart = Date.now();
+    const stubborn = agentLease('lease stubborn-run --run');
+    if (stubborn.status === 0 || !stubborn.output.includes('TIMEOUT: Timed out after 1.0s') || Date.now() - stubbornStart > 8000) {
+      return fail('runner ignoring SIGTERM should be killed at its timeout', stubborn.output);
+    }
+
+    // An LLM runner's PASS verdict doesn't count once it has been killed
+    const slowReview = agentLease('lease llm-timeout-run --run');
+    const reviewLock = JSON.parse(fs.readFileSync(path.join(lockDir, fs.readdirSync(lockDir).find(f => f.includes('llm-timeout-run'))), 'utf8'));
+    if (slowReview.status === 0 || reviewLock.status === 'VALIDATED' || !slowReview.output.includes('TIMEOUT')) {
+      return fail('a timed-out LLM runner should fail despite its PASS verdict', slowReview.output + JSON.stringify(reviewLock));
+    }
+
+    // Exit codes outside retryOn aren't retried
+    fs.rmSync(counter, { force: true });
+    const broken = agentLease('lease no-retry-run --run');
+    if (broken.status === 0 || fs.readFileSync(counter, 'utf8').split('\n').filter(Boolean).length !== 1) {
+      return fail('failure not matching retryOn should not be retried', broken.output);
+    }
+
+    pass('timeouts are reported as TIMEOUT and retries are recorded');
+  } finally {
+    fs.rmSync(counter, { force: true });
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup retries"');
+  }
+}
+
+function test_continue_on_failure() {
+  log('\nTest: failFast: false reports every failing runner');
+
+  initProject({
+    topics: {
+      'all-run': { runners: ['lint', 'test', 'docs', 'package'], mode: 'execute', failFast: false },
+      'fast-run': { runners: ['lint', 'test'], mode: 'execute' }
+    },
+    runners: [
+      { name: 'lint', command: 'echo lint broke; exit 1' },
+      { name: 'test', command: 'echo tests broke; exit 2' },
+      { name: 'docs', command: 'echo docs ok' },
+      { name: 'package', command: 'echo packaged', dependsOn: ['test'] }
+    ],
+    lockDir: 'local',
+    cache: false
+  });
+
+  try {
+    stageFile('all-failures-test');
+
+    const all = agentLease('lease all-run --run');
+    if (all.status === 0 || !all.output.includes('2 RUNNERS FAILED') ||
+        !all.output.includes('- lint: Exit code 1') || !all.output.includes('- test: Exit code 2')) {
+      return fail('every failure should be in one gate message', all.output);
+    }
+    if (!all.output.includes('✅ docs') || !all.output.includes('package: not run: depends on test')) {
+      return fail('independent runners should still run, dependents of failures should not', all.output);
+    }
+    const lockDir = path.join(testDir, '.agent-lease', 'locks');
+    const lock = JSON.parse(fs.readFileSync(path.join(lockDir, fs.readdirSync(lockDir).find(f => f.includes('all-run'))), 'utf8'));
+    if (lock.status !== 'PENDING') {
+      return fail('lock should stay pending', JSON.stringify(lock));
+    }
+
+    // Fail-fast by default; --all overrides it
+    const fast = agentLease('lease fast-run --run');
+    if (fast.status === 0 || fast.output.includes('test:') || !fast.output.includes('RUNNER FAILED - lint')) {
+      return fail('default should stop at the first failure', fast.output);
+    }
+    const forced = agentLease('lease fast-run --run --all');
+    if (forced.status === 0 || !forced.output.includes('2 RUNNERS FAILED')) {
+      return fail('--all should run every runner', forced.output);
+    }
+
+    pass('continue-on-failure runs every runner and keeps the lock');
+  } finally {
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup all failures"');
+  }
+}
+
+function test_streaming_output() {
+  log('\nTest: runner output streams with a name prefix, --quiet shows progress only');
+
+  initProject({
+    topics: { 'stream-run': { runners: ['chatty'], mode: 'execute' } },
+    runners: [{ name: 'chatty', command: 'echo first; echo oops >&2; printf last' }],
+    lockDir: 'local',
+    cache: false
+  });
+
+  try {
+    stageFile('stream-test');
+
+    const streamed = agentLease('lease stream-run --run');
+    const lines = streamed.stderr.split('\n');
+    const at = line => lines.indexOf(line);
+    if (streamed.status !== 0 || at('[chatty] started') === -1 || at('[chatty] first') <= at('[chatty] started') ||
+        at('[chatty] oops') === -1 || at('[chatty] last') === -1 || !lines.some(l => /^\[chatty\] PASS \(\d+\.\ds\)$/.test(l))) {
+      return fail('output should stream to stderr, one prefixed line at a time', streamed.stderr);
+    }
+
+    agentLease('clear');
+    const quiet = agentLease('lease stream-run --run --quiet');
+    const quietLines = quiet.stderr.split('\n').filter(l => l.startsWith('[chatty]'));
+    if (quiet.status !== 0 || quietLines.length !== 2 || quietLines[0] !== '[chatty] started' || !quietLines[1].startsWith('[chatty] PASS')) {
+      return fail('--quiet should print only start and finish lines', quiet.stderr);
+    }
+
+    // Streaming doesn't change what the proof captures
+    const lockDir = path.join(testDir, '.agent-lease', 'locks');
+    const lock = JSON.parse(fs.readFileSync(path.join(lockDir, fs.readdirSync(lockDir).find(f => f.includes('stream-run'))), 'utf8'));
+    const proof = fs.readFileSync(path.join(testDir, '.agent-lease', 'proofs', `${lock.runners[0].hash}.txt`), 'utf8');
+    if (proof.includes('[chatty]') || !['first', 'last', 'oops'].every(word => proof.includes(word))) {
+      return fail('proof should hold the unprefixed output', JSON.stringify(proof));
+    }
+
+    pass('runner output streams live and --quiet keeps logs to one line per event');
+  } finally {
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup streaming"');
+  }
+}
+
+function test_llm_runners() {
+  log('\nTest: type "llm" runners call their provider with the steering block appended');
+
+  const standIn = startLLMStandIn();
+  const { baseUrl } = standIn;
+  const lastRequest = () => standIn.requests().pop();
+
+  try {
+    fs.writeFileSync(path.join(testDir, 'review-prompt.md'), 'Check {{project}} for injection bugs:\n{{diff}}\n');
+
+    initProject({
+      topics: {
+        'llm-anthropic': { runners: ['claude-review'], mode: 'execute' },
+        'llm-compatible': { runners: ['gateway-review'], mode: 'execute' },
+        'llm-ollama': { runners: ['local-review'], mode: 'execute' }
+      },
+      runners: [
+        { name: 'claude-review', type: 'llm', provider: 'anthropic', model: 'claude-test', baseUrl,
+          prompt: 'Review this change.', steeringPrompt: 'Focus on SQL handling.' },
+        { name: 'gateway-review', type: 'llm', provider: 'openai-compatible', model: 'gpt-test', baseUrl: `${baseUrl}/v1`,
+          promptFile: 'review-prompt.md', apiKeyEnv: 'GATEWAY_KEY' },
+        { name: 'local-review', type: 'llm', provider: 'ollama', model: 'llama-test', baseUrl }
+      ],
+      lockDir: 'local'
+    });
+    stageFile('llm-test', 'const query = "SELECT " + userInput;');
+
+    standIn.reply(llmReply('PASS'));
+    const passing = agentLease('lease llm-anthropic --run', { env: { ANTHROPIC_API_KEY: 'test-key' } });
+    const sent = lastRequest();
+    const prompt = sent.body.messages[0].content;
+    if (passing.status !== 0 || sent.path !== '/v1/messages' || sent.headers['x-api-key'] !== 'test-key' ||
+        !sent.headers['anthropic-version'] || sent.body.model !== 'claude-test') {
+      return fail('anthropic runner should pass on a PASS verdict', `${passing.output}\n${JSON.stringify(sent)}`);
+    }
+    if (!prompt.startsWith('Review this change.') || !prompt.includes('"SELECT " + userInput') ||
+        !prompt.includes('Focus on SQL handling.') || !prompt.includes('<AGENT_LEASE_START>\nVERDICT: PASS or FAIL')) {
+      return fail('prompt should carry the diff, steeringPrompt and steering block', prompt);
+    }
+
+    standIn.reply(llmReply('FAIL', { findings: ['SQL built from user input'] }));
+    const failing = agentLease('lease llm-compatible --run', { env: { GATEWAY_KEY: 'gw-key' } });
+    const gatewayRequest = lastRequest();
+    if (failing.status === 0 || !failing.output.includes('gateway-review') ||
+        gatewayRequest.path !== '/v1/chat/completions' || gatewayRequest.headers.authorization !== 'Bearer gw-key' ||
+        !gatewayRequest.body.messages[0].content.startsWith('Check topic-test for injection bugs:\n')) {
+      return fail('openai-compatible runner should fail the gate on a FAIL verdict', `${failing.output}\n${JSON.stringify(gatewayRequest)}`);
+    }
+
+    standIn.reply(llmReply('PASS'));
+    const local = agentLease('lease llm-ollama --run');
+    if (local.status !== 0 || lastRequest().path !== '/api/chat' || lastRequest().body.stream !== false) {
+      return fail('ollama runner should pass on a PASS verdict', local.output);
+    }
+
+    // A missing API key is a runner error, not a silent pass
+    agentLease('clear');
+    const noKey = agentLease('lease llm-anthropic --run', { env: { ANTHROPIC_API_KEY: '' } });
+    if (noKey.status === 0 || !noKey.output.includes('ANTHROPIC_API_KEY is not set')) {
+      return fail('missing API key should fail the runner', noKey.output);
+    }
+
+    pass('llm runners reach anthropic, openai-compatible and ollama endpoints and gate on the verdict');
+  } finally {
+    standIn.stop();
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup llm runners"');
+  }
+}
+
+function test_chunked_llm_review() {
+  log('\nTest: LLM runners review diffs over chunkTokens in chunks and merge the verdicts');
+
+  const standIn = startLLMStandIn();
+
+  try {
+    initProject({
+      topics: { 'llm-chunked': { runners: ['chunked-review'], mode: 'execute' } },
+      runners: [{ name: 'chunked-review', type: 'llm', provider: 'ollama', model: 'llama-test',
+        baseUrl: standIn.baseUrl, chunkTokens: 100 }],
+      lockDir: 'local'
+    });
+    // 400-char chunks: two small files pack together, the long one splits at lines
+    stageFile('chunk-small-a', 'alpha\n');
+    stageFile('chunk-small-b', 'bravo\n');
+    stageFile('chunk-long', Array.from({ length: 30 }, (_, i) => `line ${i} of a long file`).join('\n'));
+
+    standIn.reply({ default: llmReply('PASS', { low: 1 }) });
+    const passing = agentLease('lease llm-chunked --run');
+    const prompts = standIn.requests().map(r => r.body.messages[0].content);
+    const diffs = prompts.map(p => p.slice(p.indexOf('Diff:\n') + 6, p.indexOf('\n\nReply with your review')));
+    if (passing.status !== 0 || prompts.length < 3 || diffs.some(d => d.length > 400 || !d.startsWith('diff --git'))) {
+      return fail('large diff should be reviewed in chunks of at most chunkTokens', `${passing.output}\n${diffs.join('\n====\n')}`);
+    }
+    if (!diffs.some(d => d.includes('chunk-small-a.txt') && d.includes('chunk-small-b.txt'))) {
+      return fail('small files should share a chunk', diffs.join('\n====\n'));
+    }
+
+    const proofDir = path.join(testDir, '.agent-lease', 'proofs');
+    const report = JSON.parse(fs.readFileSync(path.join(proofDir, fs.readdirSync(proofDir).find(f => f.startsWith('llm-chunked-'))), 'utf8'));
+    const chunks = report.runners[0].chunks || [];
+    if (chunks.length !== prompts.length || chunks.some(c => c.status !== 'PASS' || !fs.existsSync(path.join(proofDir, `${c.hash}.txt`)))) {
+      return fail('report should list every chunk with its own proof file', JSON.stringify(report.runners[0]));
+    }
+
+    // One failing chunk fails the runner; counts and findings from every chunk are merged
+    agentLease('clear');
+    standIn.reply({
+      rules: [{ match: 'line 29 of a long file', reply: llmReply('FAIL', { findings: ['tail of the long file'], low: 1 }) }],
+      default: llmReply('PASS', { low: 1 })
+    });
+    const failing = agentLease('lease llm-chunked --run');
+    if (failing.status === 0 || !failing.output.includes('tail of the long file') ||
+        !failing.output.includes(`Low: ${prompts.length}`) || !failing.output.includes('Verdict: FAIL')) {
+      return fail('a failing chunk should fail the merged review', failing.output);
+    }
+
+    pass('large diffs are split into token-budgeted chunks with merged verdicts and per-chunk proofs');
+  } finally {
+    standIn.stop();
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup chunked review"');
+  }
+}
+
+function test_llm_json_verdicts() {
+  log('\nTest: JSON verdicts are schema-checked, bad replies are ERROR, reprompt retries once');
+
+  const standIn = startLLMStandIn();
+  const jsonReply = value => `<AGENT_LEASE_START>\n${JSON.stringify(value)}\n<AGENT_LEASE_END>`;
+
+  try {
+    initProject({
+      topics: {
+        'llm-json': { runners: ['json-review'], mode: 'execute' },
+        'llm-reprompt': { runners: ['reprompt-review'], mode: 'execute' }
+      },
+      runners: [
+        { name: 'json-review', type: 'llm', provider: 'ollama', model: 'llama-test', baseUrl: standIn.baseUrl, format: 'json' },
+        { name: 'reprompt-review', type: 'llm', provider: 'ollama', model: 'llama-test', baseUrl: standIn.baseUrl,
+          format: 'json', reprompt: true }
+      ],
+      lockDir: 'local'
+    });
+    stageFile('json-verdict-test');
+
+    // Findings carry file, line and rule through to the display
+    standIn.reply(jsonReply({
+      verdict: 'FAIL',
+      findings: [{ severity: 'high', message: 'Secret committed', file: 'json-verdict-test.txt', line: 1, rule: 'no-secrets' }],
+      summary: 'Secret in diff'
+    }));
+    const failing = agentLease('lease llm-json --run');
+    const prompt = standIn.requests()[0].body.messages[0].content;
+    if (failing.status === 0 || !failing.output.includes('[high] json-verdict-test.txt:1 Secret committed (no-secrets)') ||
+        !prompt.includes('"verdict": "PASS or FAIL"')) {
+      return fail('JSON FAIL verdict should fail the gate with structured findings', failing.output);
+    }
+
+    // A reply that breaks the schema is an ERROR, not a pass or a silent default
+    standIn.reply(jsonReply({ verdict: 'PASS', findings: 'none' }));
+    const malformed = agentLease('lease llm-json --run');
+    if (malformed.status === 0 || !malformed.output.includes('ERROR: Invalid reply: reply does not match the verdict schema') ||
+        !malformed.output.includes('reply.findings must be an array') || !malformed.output.includes('[json-review] ERROR')) {
+      return fail('schema violations should be reported as ERROR', malformed.output);
+    }
+
+    // reprompt sends the validation error back once, in the same conversation
+    const before = standIn.requests().length;
+    standIn.reply({
+      rules: [{ match: 'could not be used', reply: jsonReply({ verdict: 'PASS', findings: [], summary: 'clean' }) }],
+      default: '<AGENT_LEASE_START>\n{"verdict": "PASS", \n<AGENT_LEASE_END>'
+    });
+    const reprompted = agentLease('lease llm-reprompt --run');
+    const followUp = standIn.requests().slice(before);
+    const messages = followUp.length === 2 ? followUp[1].body.messages : [];
+    if (reprompted.status !== 0 || messages.length !== 3 || messages[1].role !== 'assistant' ||
+        !messages[2].content.includes('Your reply could not be used: reply is not valid JSON')) {
+      return fail('an invalid reply should be re-prompted once with the error', `${reprompted.output}\n${JSON.stringify(followUp)}`);
+    }
+
+    pass('JSON verdicts are validated, malformed replies are ERROR and reprompt recovers once');
+  } finally {
+    standIn.stop();
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup json verdicts"');
+  }
+}
+
+function test_severity_thresholds() {
+  log('\nTest: failOn thresholds fail a PASS verdict with too many findings');
+
+  const review = counts => `printf '<AGENT_LEASE_START>\\nVERDICT: PASS\\n${counts}\\nSUMMARY: ok\\n<AGENT_LEASE_END>'`;
+  initProject({
+    topics: {
+      'threshold-breach': { runners: ['strict-review'], mode: 'execute' },
+      'threshold-ok': { runners: ['lenient-review'], mode: 'execute' },
+      'threshold-typo': { runners: ['typo-review'], mode: 'execute' }
+    },
+    runners: [
+      { name: 'strict-review', command: review('HIGH: 2\\nMEDIUM: 1'), llm: true, failOn: { critical: 1, high: 1 } },
+      { name: 'lenient-review', command: review('HIGH: 0\\nMEDIUM: 4'), llm: true, failOn: { high: 1, medium: 5 } },
+      { name: 'typo-review', command: review('HIGH: 0'), llm: true, failOn: { hihg: 1 } }
+    ],
+    lockDir: 'local',
+    cache: false
+  });
+
+  try {
+    stageFile('threshold-test');
+
+    const breach = agentLease('lease threshold-breach --run');
+    if (breach.status === 0 || !breach.output.includes('THRESHOLD: 2 high (failOn.high: 1)') ||
+        !breach.output.includes('Severity threshold exceeded: 2 high (failOn.high: 1)')) {
+      return fail('PASS verdict over a threshold should fail and name the breach', breach.output);
+    }
+
+    const ok = agentLease('lease threshold-ok --run');
+    const proofDir = path.join(testDir, '.agent-lease', 'proofs');
+    const reportFile = fs.readdirSync(proofDir).find(f => f.startsWith('threshold-ok-'));
+    const report = reportFile ? JSON.parse(fs.readFileSync(path.join(proofDir, reportFile), 'utf8')) : { runners: [{}] };
+    const checks = JSON.stringify(report.runners[0].thresholds);
+    if (ok.status !== 0 || checks !== JSON.stringify([
+      { severity: 'high', count: 0, threshold: 1, breached: false },
+      { severity: 'medium', count: 4, threshold: 5, breached: false }
+    ])) {
+      return fail('counts under the thresholds should pass, with the checks in the report', `${ok.output}\n${checks}`);
+    }
+
+    const typo = agentLease('lease threshold-typo --run');
+    if (typo.status === 0 || !typo.output.includes('Unknown failOn severity "hihg"')) {
+      return fail('an unknown failOn severity should fail the runner', typo.output);
+    }
+
+    pass('failOn thresholds override PASS verdicts and are recorded in the proof report');
+  } finally {
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup thresholds"');
+  }
+}
+
+function test_findings_sarif() {
+  log('\nTest: findings are anchored to the diff and exported as SARIF');
+
+  const review = (verdict, findings) => `printf '%s\\n' '<AGENT_LEASE_START>' 'VERDICT: ${verdict}' 'FINDINGS:' ` +
+    findings.map(f => `'- ${f}'`).join(' ') + ` 'SUMMARY: reviewed' '<AGENT_LEASE_END>'`;
+  initProject({
+    topics: {
+      'sarif-fail': { runners: ['anchored-review'], mode: 'execute' },
+      'sarif-pass': { runners: ['clean-review'], mode: 'execute' }
+    },
+    runners: [
+      { name: 'anchored-review', llm: true, command: review('FAIL', [
+        '[high] app.js:3 eval on user input',
+        '[low] app.js:40 off the end of the file',
+        '[medium] src/ghost.js:7 file not in the change',
+        'general remark'
+      ]) },
+      { name: 'clean-review', llm: true, command: review('PASS', ['[low] app.js:2 consider a constant']) }
+    ],
+    lockDir: 'local',
+    cache: false
+  });
+  const proofDir = path.join(testDir, '.agent-lease', 'proofs');
+  const readSarif = prefix => {
+    const file = fs.readdirSync(proofDir).find(f => f.startsWith(prefix) && f.endsWith('.sarif'));
+    return file ? JSON.parse(fs.readFileSync(path.join(proofDir, file), 'utf8')) : null;
+  };
+
+  try {
+    fs.writeFileSync(path.join(testDir, 'app.js'), 'const a = 1;\nconst b = 2;\neval(input);\nconst c = 3;\nconst d = 4;\n');
+    run('git add app.js');
+
+    const failing = agentLease('lease sarif-fail --run');
+    if (failing.status === 0 || !failing.output.includes('app.js:40 is not in the diff - likely hallucinated') ||
+        !failing.output.includes('src/ghost.js:7 is not in the diff') || failing.output.includes('app.js:3 is not in the diff')) {
+      return fail('findings outside the diff should be flagged', failing.output);
+    }
+
+    const sarif = readSarif('sarif-fail-');
+    if (!fs.readdirSync(proofDir).some(f => /^sarif-fail-\w+-failed\.sarif$/.test(f))) {
+      return fail('a failed run should write a -failed.sarif file', fs.readdirSync(proofDir).join(' '));
+    }
+    const results = sarif ? sarif.runs[0].results : [];
+    const where = r => r.locations ? `${r.locations[0].physicalLocation.artifactLocation.uri}:${r.locations[0].physicalLocation.region.startLine}` : null;
+    if (!sarif || sarif.version !== '2.1.0' || results.length !== 4 ||
+        where(results[0]) !== 'app.js:3' || results[0].level !== 'error' || results[0].properties.likelyHallucination ||
+        !results[1].properties.likelyHallucination || results[1].properties.anchor !== 'outside-diff' ||
+        results[2].properties.anchor !== 'not-in-diff' || results[3].locations ||
+        sarif.runs[0].tool.driver.name !== 'agent-lease/anchored-review' || !failing.output.includes('Findings: .agent-lease/proofs/sarif-fail-')) {
+      return fail('a failed run should leave a SARIF file with anchored findings', JSON.stringify(sarif));
+    }
+
+    // Releases record the SARIF file in the lock
+    const passing = agentLease('lease sarif-pass --run');
+    const lockDir = path.join(testDir, '.agent-lease', 'locks');
+    const lock = JSON.parse(fs.readFileSync(path.join(lockDir, fs.readdirSync(lockDir).find(f => f.includes('sarif-pass'))), 'utf8'));
+    const released = readSarif('sarif-pass-');
+    if (passing.status !== 0 || !lock.proofs.sarif || !lock.proofs.sarif.endsWith('.sarif') ||
+        !released || released.runs[0].results[0].properties.anchor !== 'diff' || released.runs[0].results[0].level !== 'note') {
+      return fail('a release should record its SARIF file', `${passing.output}\n${JSON.stringify(lock.proofs)}`);
+    }
+
+    pass('findings are checked against the diff and written as SARIF 2.1.0');
+  } finally {
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup sarif"');
+  }
+}
+
+function test_llm_consensus() {
+  log('\nTest: multi-reviewer LLM runners decide by consensus');
+
+  const review = (verdict, findings) => `printf '%s\\n' '<AGENT_LEASE_START>' 'VERDICT: ${verdict}' 'FINDINGS:' ` +
+    findings.map(f => `'- ${f}'`).join(' ') + ` 'SUMMARY: reviewed' '<AGENT_LEASE_END>'`;
+  const reviewers = [
+    { name: 'strict', command: review('FAIL', ['[high] app.js:1 eval on user input', '[low] missing semicolon']) },
+    { name: 'picky', command: review('FAIL', ['[high] app.js:1 eval() of untrusted data', '[low] Missing semicolon!']) },
+    { name: 'lenient', command: review('PASS', []) }
+  ];
+  const broken = { name: 'broken', command: 'echo "model unavailable"; exit 2' };
+  initProject({
+    topics: {
+      'vote-majority': { runners: ['panel-majority'], mode: 'execute' },
+      'vote-all': { runners: ['panel-all'], mode: 'execute' },
+      'vote-any': { runners: ['panel-any'], mode: 'execute' },
+      'vote-bogus': { runners: ['panel-bogus'], mode: 'execute' },
+      'vote-broken': { runners: ['panel-broken'], mode: 'execute' },
+      'vote-quorum': { runners: ['panel-quorum'], mode: 'execute' }
+    },
+    runners: [
+      { name: 'panel-majority', llm: true, reviewers },
+      { name: 'panel-all', llm: true, consensus: 'all', reviewers },
+      { name: 'panel-any', llm: true, consensus: 'any-fail', reviewers: [reviewers[2], { name: 'odd-one', command: review('FAIL', []) }] },
+      { name: 'panel-bogus', llm: true, consensus: 'loudest', reviewers },
+      { name: 'panel-broken', llm: true, reviewers: [reviewers[2], broken] },
+      { name: 'panel-quorum', llm: true, quorum: 1, reviewers: [reviewers[2], broken] }
+    ],
+    lockDir: 'local',
+    cache: false
+  });
+  const proofDir = path.join(testDir, '.agent-lease', 'proofs');
+
+  try {
+    fs.writeFileSync(path.join(testDir, 'app.js'), 'eval(input);\n');
+    run('git add app.js');
+
+    // Two of three say FAIL; their shared findings count once
+    const majority = agentLease('lease vote-majority --run');
+    const merged = (majority.output.match(/Reviewers \(.*?Summary:/s) || [''])[0];
+    if (majority.status === 0 || !merged.startsWith('Reviewers (majority): strict FAIL, picky FAIL, lenient PASS') ||
+        !merged.includes('High: 1') || !merged.includes('Low: 1') ||
+        merged.includes('eval() of untrusted data') || merged.includes('Missing semicolon!')) {
+      return fail('a majority of FAIL votes should fail with deduplicated findings', majority.output);
+    }
+
+    // One PASS keeps "all" from failing; each reviewer's output gets its own proof file
+    const all = agentLease('lease vote-all --run');
+    const report = JSON.parse(fs.readFileSync(path.join(proofDir,
+      fs.readdirSync(proofDir).find(f => f.startsWith('vote-all-') && f.endsWith('.json'))), 'utf8'));
+    const panel = report.runners[0];
+    const files = (panel.reviewers || []).map(v => path.join(proofDir, `${v.hash}.txt`));
+    if (all.status !== 0 || panel.consensus !== 'all' || !panel.reviewers || panel.reviewers.length !== 3 ||
+        panel.reviewers.map(v => `${v.name}:${v.verdict}`).join(' ') !== 'strict:FAIL picky:FAIL lenient:PASS' ||
+        new Set(files).size !== 3 || !files.every(f => fs.existsSync(f)) ||
+        !fs.readFileSync(files[1], 'utf8').includes('eval() of untrusted data')) {
+      return fail('"all" should pass unless every reviewer fails, archiving each reviewer', `${all.output}\n${JSON.stringify(panel)}`);
+    }
+
+    const any = agentLease('lease vote-any --run');
+    if (any.status === 0 || !any.output.includes('Reviewers (any-fail): lenient PASS, odd-one FAIL')) {
+      return fail('"any-fail" should fail on a single FAIL vote', any.output);
+    }
+
+    const bogus = agentLease('lease vote-bogus --run');
+    if (bogus.status === 0 || !bogus.output.includes('Unknown consensus "loudest"')) {
+      return fail('an unknown consensus rule should fail the runner', bogus.output);
+    }
+
+    // A reviewer that errors doesn't abstain its way to a PASS, unless the quorum allows it
+    const brokenRun = agentLease('lease vote-broken --run');
+    if (brokenRun.status === 0 || !brokenRun.output.includes('1 of 2 reviewers returned a usable verdict, below the quorum of 2')) {
+      return fail('an erroring reviewer should fail the runner below quorum', brokenRun.output);
+    }
+    const quorum = agentLease('lease vote-quorum --run');
+    if (quorum.status !== 0) {
+      return fail('"quorum": 1 should let the other reviewer decide', quorum.output);
+    }
+
+    pass('reviewers vote by consensus rule, findings are deduplicated and each reviewer is archived');
+  } finally {
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup consensus"');
+  }
+}
+
+function test_llm_cost_accounting() {
+  log('\nTest: LLM runners record tokens and cost, and budgets fail the gate');
+
+  const standIn = startLLMStandIn();
+  const ledger = path.join(testDir, '.agent-lease', 'costs.jsonl');
+  const lockDir = path.join(testDir, '.agent-lease', 'locks');
+  const env = { env: { ANTHROPIC_API_KEY: 'test-key' } };
+
+  try {
+    initProject({
+      topics: {
+        'cost-native': { runners: ['haiku-review'], mode: 'execute' },
+        'cost-daily': { runners: ['haiku-review'], mode: 'execute', budget: { perDay: 0.00006 } },
+        'cost-estimated': { runners: ['cli-review'], mode: 'execute', budget: { perRun: 1 } },
+        'cost-bogus': { runners: ['haiku-review'], mode: 'execute', budget: { perWeek: 1 } },
+        'cost-hybrid': { runners: ['cli-review'], mode: 'hybrid', verify: 'all', budget: { perRun: 1 } }
+      },
+      runners: [
+        { name: 'haiku-review', type: 'llm', model: 'claude-haiku-4-5', baseUrl: standIn.baseUrl, prompt: 'Review.' },
+        { name: 'cli-review', llm: true, command: `printf '%s\\n' '<AGENT_LEASE_START>' 'VERDICT: PASS' 'SUMMARY: ok' '<AGENT_LEASE_END>'`,
+          price: { input: 1000000, output: 1000000 }, charsPerToken: 1 }
+      ],
+      lockDir: 'local',
+      cache: false
+    });
+    fs.rmSync(ledger, { force: true });
+    stageFile('cost-test', 'let total = 0;');
+    standIn.reply(llmReply('PASS'));
+
+    // The stand-in bills 10 input and 5 output tokens: at $1/$5 per million that's $0.000035
+    const native = agentLease('lease cost-native --run', env);
+    const lock = JSON.parse(fs.readFileSync(path.join(lockDir, fs.readdirSync(lockDir).find(f => f.includes('cost-native'))), 'utf8'));
+    const report = JSON.parse(fs.readFileSync(path.join(testDir, '.agent-lease', 'proofs', lock.proofs.report), 'utf8'));
+    if (native.status !== 0 || !native.output.includes('Cost: $0.000035 (10+5 tokens)') ||
+        lock.trailers.cost !== '$0.000035 (10+5 tokens)' || Math.abs(report.cost.costUsd - 0.000035) > 1e-12 ||
+        report.runners[0].usage.inputTokens !== 10 || report.runners[0].usage.estimated) {
+      return fail('a native runner should record the tokens its provider counted and their cost', `${native.output}\n${JSON.stringify(report)}`);
+    }
+
+    // $0.000035 already spent: a second run goes over $0.00006 for the day, and then no run starts
+    const overDay = agentLease('lease cost-daily --run', env);
+    if (overDay.status === 0 || !overDay.output.includes('BUDGET EXCEEDED - $0.000070 spent today, over the $0.000060 daily budget')) {
+      return fail('a run that takes the day over budget should fail the gate', overDay.output);
+    }
+    const requests = standIn.requests().length;
+    const spent = agentLease('lease cost-daily --run', env);
+    if (spent.status === 0 || standIn.requests().length !== requests ||
+        !spent.output.includes('BUDGET EXCEEDED - $0.000070 spent today, the whole $0.000060 daily budget')) {
+      return fail('a spent daily budget should stop LLM runners before they run', spent.output);
+    }
+
+    // Command runners are estimated from the characters sent and received, here at $1 per token
+    const estimated = agentLease('lease cost-estimated --run');
+    const entries = fs.readFileSync(ledger, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    const last = entries[entries.length - 1];
+    if (estimated.status === 0 || !/Cost: \$\d+\.\d\d \(\d+\+\d+ tokens, estimated\)/.test(estimated.output) ||
+        !estimated.output.includes('per-run budget') || entries.length !== 3 || last.topic !== 'cost-estimated' || !last.estimated) {
+      return fail('an estimated run over its per-run budget should fail and be recorded', `${estimated.output}\n${JSON.stringify(entries)}`);
+    }
+
+    const bogus = agentLease('lease cost-bogus --run', env);
+    if (bogus.status === 0 || !bogus.output.includes('Unknown budget "perWeek"')) {
+      return fail('an unknown budget field should be rejected', bogus.output);
+    }
+
+    // Hybrid spot checks that re-run an LLM runner spend tokens too: recorded, and held to the budget
+    const gate = agentLease('lease cost-hybrid');
+    const proof = withNonce('Runner: cli-review\nStatus: PASS\nOutput: ok\nSummary: reviewed', gate);
+    const hybrid = agentLease(`lease cost-hybrid --audit-proof='${proof}'`);
+    const hybridEntry = fs.readFileSync(ledger, 'utf8').trim().split('\n').map(line => JSON.parse(line)).pop();
+    if (hybrid.status === 0 || !hybrid.output.includes('BUDGET EXCEEDED - this run cost') ||
+        hybridEntry.topic !== 'cost-hybrid' || !hybridEntry.estimated) {
+      return fail('a hybrid spot check should record its spend and enforce the budget', `${hybrid.output}\n${JSON.stringify(hybridEntry)}`);
+    }
+
+    pass('token usage and cost are recorded per runner and lease, with per-run and per-day budgets');
+  } finally {
+    standIn.stop();
+    agentLease('clear');
+    run('git commit --no-verify -m "cleanup cost"');
+  }
+}
+
 // ============ MAIN ============
 
 function main() {
@@ -708,6 +2237,7 @@ function main() {
     test_lease_arbitrary_topic();
     test_backward_compat_commit();
     test_backward_compat_push();
+    test_archive_same_millisecond();
     test_config_resolution_chain();
     test_template_resolution();
     test_env_var_expansion();
@@ -716,6 +2246,27 @@ function main() {
     test_lock_naming_includes_topic();
     test_multiple_topics_independent();
     test_template_vars_topic_aware();
+    test_lease_bound_to_staged_tree();
+    test_push_lease_bound_to_pushed_refs();
+    test_lease_ttl_expiry();
+    test_signed_leases();
+    test_lease_run_modes();
+    test_hybrid_spot_check();
+    test_challenge_nonce();
+    test_parallel_runners();
+    test_runner_cache();
+    test_file_scoped_runners();
+    test_index_isolation();
+    test_runner_timeouts_and_retries();
+    test_continue_on_failure();
+    test_streaming_output();
+    test_llm_runners();
+    test_chunked_llm_review();
+    test_llm_json_verdicts();
+    test_severity_thresholds();
+    test_findings_sarif();
+    test_llm_consensus();
+    test_llm_cost_accounting();
 
     log('\n' + '='.repeat(60));
     log(`\n  Results: ${passed} passed, ${failed} failed\n`);